@@ -38,18 +38,20 @@ class AnalyticsManager {
                 stats.totalExpense += amount;
             }
 
-            // Per categoria
-            const cat = trans.category || 'other';
-            if (!stats.categories[cat]) {
-                stats.categories[cat] = { income: 0, expense: 0, count: 0 };
-            }
-
-            if (trans.type === 'in') {
-                stats.categories[cat].income += amount;
-            } else {
-                stats.categories[cat].expense += amount;
-            }
-            stats.categories[cat].count++;
+            // Per categoria (una riga per ripartizione)
+            transactionParts(trans).forEach(part => {
+                const cat = part.category;
+                if (!stats.categories[cat]) {
+                    stats.categories[cat] = { income: 0, expense: 0, count: 0 };
+                }
+
+                if (trans.type === 'in') {
+                    stats.categories[cat].income += part.amount;
+                } else {
+                    stats.categories[cat].expense += part.amount;
+                }
+                stats.categories[cat].count++;
+            });
         });
 
         stats.balance = stats.totalIncome - stats.totalExpense;
@@ -84,6 +86,57 @@ class AnalyticsManager {
         return trend;
     }
 
+    // Tag usati nello storico, dal più frequente
+    getAllTags(transactions) {
+        const counts = {};
+        transactions.forEach(trans => {
+            (trans.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; });
+        });
+        return Object.entries(counts)
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    // Totali per tag (una transazione con più tag conta in ognuno); month = null per tutto lo storico
+    getTagStats(transactions, month = null) {
+        const bounds = month ? getMonthBounds(month) : null;
+        const stats = {};
+
+        transactions.forEach(trans => {
+            if (bounds && !isDateInRange(trans.timestamp || trans.date, bounds.start, bounds.end)) return;
+            const amount = parseFloat(trans.amount);
+
+            (trans.tags || []).forEach(tag => {
+                if (!stats[tag]) stats[tag] = { tag, income: 0, expense: 0, count: 0 };
+                if (trans.type === 'in') stats[tag].income += amount;
+                else stats[tag].expense += amount;
+                stats[tag].count++;
+            });
+        });
+
+        return Object.values(stats).sort((a, b) => b.expense - a.expense);
+    }
+
+    // Trend di un tag negli ultimi N mesi
+    getTagTrend(transactions, tag, months = 6) {
+        const tagged = transactions.filter(t => (t.tags || []).includes(tag));
+        const now = new Date();
+        const trend = [];
+
+        for (let i = months - 1; i >= 0; i--) {
+            const month = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            const stats = this.getTagStats(tagged, month).find(s => s.tag === tag);
+
+            trend.push({
+                month: formatDate(month, 'it-IT', { month: 'short', year: 'numeric' }),
+                income: stats ? stats.income : 0,
+                expense: stats ? stats.expense : 0
+            });
+        }
+
+        return trend;
+    }
+
     // Saving rate
     getSavingRate(transactions, month = new Date()) {
         const stats = this.getMonthlyStats(transactions, month);
@@ -109,14 +162,16 @@ class AnalyticsManager {
 
     // Export dati CSV
     exportCSV(transactions) {
-        const headers = ['Data', 'Tipo', 'Categoria', 'Descrizione', 'Importo'];
-        const rows = transactions.map(t => [
+        // Una riga per ogni ripartizione, con la nota accanto alla descrizione
+        const headers = ['Data', 'Tipo', 'Categoria', 'Descrizione', 'Importo', 'Tag'];
+        const rows = transactions.flatMap(t => transactionParts(t).map(part => [
             formatDate(t.timestamp || t.date),
             t.type === 'in' ? 'Entrata' : 'Uscita',
-            t.category || 'other',
-            t.desc,
-            t.amount
-        ]);
+            part.category,
+            part.note ? `${t.desc} (${part.note})` : t.desc,
+            part.amount,
+            (t.tags || []).join(' ')
+        ]));
 
         const csv = [
             headers.join(','),
@@ -132,7 +187,8 @@ class AnalyticsManager {
     }
 
     // Prepara dati per Chart.js
-    prepareChartData(transactions, type = 'monthly') {
+    // Per 'category': options.level ('category' | 'parent') e options.parent per il drill-down
+    prepareChartData(transactions, type = 'monthly', options = {}) {
         if (type === 'monthly') {
             const trend = this.getTrend(transactions, 6);
 
@@ -161,11 +217,12 @@ class AnalyticsManager {
 
         if (type === 'category') {
             const stats = this.getMonthlyStats(transactions);
-            const categories = Object.entries(stats.categories)
+            const categories = Object.entries(this.rollUpCategories(stats.categories, options))
                 .sort((a, b) => b[1].expense - a[1].expense)
                 .slice(0, 6);
 
             return {
+                categoryIds: categories.map(([id]) => id),
                 labels: categories.map(([id]) => categoryManager.getCategory(id)?.name || id),
                 datasets: [{
                     label: 'Spese per Categoria',
@@ -176,9 +233,40 @@ class AnalyticsManager {
             };
         }
 
+        if (type === 'tag') {
+            const tags = this.getTagStats(transactions, options.month || null).slice(0, 6);
+
+            return {
+                labels: tags.map(s => `#${s.tag}`),
+                datasets: [{
+                    label: 'Spese per Tag',
+                    data: tags.map(s => s.expense),
+                    backgroundColor: 'rgba(99, 102, 241, 0.6)',
+                    borderWidth: 0
+                }]
+            };
+        }
+
         return null;
     }
 
+    // Somma le statistiche per categoria al livello richiesto
+    rollUpCategories(categories, options = {}) {
+        const { level = 'category', parent = null } = options;
+        const rolled = {};
+
+        Object.entries(categories).forEach(([id, data]) => {
+            if (parent && !categoryManager.isInCategory(id, parent)) return;
+            const key = parent ? id : categoryManager.rollUp(id, level);
+            if (!rolled[key]) rolled[key] = { income: 0, expense: 0, count: 0 };
+            rolled[key].income += data.income;
+            rolled[key].expense += data.expense;
+            rolled[key].count += data.count;
+        });
+
+        return rolled;
+    }
+
     // Anomalie - spese inusuali
     detectAnomalies(transactions, threshold = 2) {
         const expenses = transactions.filter(t => t.type === 'out');
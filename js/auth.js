@@ -0,0 +1,305 @@
+// Auth - PIN con hash PBKDF2, blocco progressivo, sblocco WebAuthn e auto-lock
+// I metadati di autenticazione restano in chiaro in localStorage: servono prima dello sblocco
+
+const AUTH_KEYS = {
+    pin: 'futura_auth',
+    lockout: 'futura_auth_lockout',
+    webauthn: 'futura_webauthn',
+    autoLock: 'futura_autolock_minutes'
+};
+
+// PIN usato dalle versioni precedenti: serve solo per migrare la chiave di cifratura
+const LEGACY_PIN = '0000';
+
+const AUTH_DEFAULTS = {
+    iterations: 600000,
+    // Il PIN deriva la chiave dei dati cifrati: il blocco progressivo non ferma un attacco
+    // offline su una copia dei file, conta solo la lunghezza (vale per i nuovi PIN)
+    minPinLength: 8,
+    freeAttempts: 3,        // tentativi senza attesa
+    baseLockoutMs: 30000,   // poi 30s, 60s, 120s...
+    maxLockoutMs: 60 * 60 * 1000,
+    autoLockMinutes: 5
+};
+
+function readAuthItem(key, defaultValue = null) {
+    try {
+        const item = localStorage.getItem(key);
+        return item ? JSON.parse(item) : defaultValue;
+    } catch {
+        return defaultValue;
+    }
+}
+
+function writeAuthItem(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+async function hashPin(pin, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        256
+    );
+    return new Uint8Array(bits);
+}
+
+// Confronto a tempo costante
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
+
+class AuthManager {
+    constructor() {
+        this.autoLockTimer = null;
+        this.onAutoLock = null;
+        this.activityHandler = () => this.resetAutoLockTimer();
+    }
+
+    isPinSet() {
+        return !!readAuthItem(AUTH_KEYS.pin);
+    }
+
+    validatePinFormat(pin) {
+        if (!pin || pin.length < AUTH_DEFAULTS.minPinLength) {
+            throw new Error(`Il PIN deve avere almeno ${AUTH_DEFAULTS.minPinLength} caratteri`);
+        }
+    }
+
+    async setPin(pin) {
+        this.validatePinFormat(pin);
+        const salt = randomBytes(16);
+        const hash = await hashPin(pin, salt, AUTH_DEFAULTS.iterations);
+
+        writeAuthItem(AUTH_KEYS.pin, {
+            version: 1,
+            algorithm: 'PBKDF2-SHA256',
+            iterations: AUTH_DEFAULTS.iterations,
+            salt: bytesToBase64(salt),
+            hash: bytesToBase64(hash)
+        });
+        this.resetFailures();
+    }
+
+    // Primo PIN: se i dati erano già cifrati con il PIN di default, li ri-cifra con quello nuovo
+    async createPin(pin) {
+        this.validatePinFormat(pin);
+
+        if (cryptoManager.isConfigured()) {
+            await unlockDataAtRest(LEGACY_PIN);
+            await cryptoManager.changePin(LEGACY_PIN, pin);
+            lockDataAtRest();
+        }
+
+        await this.setPin(pin);
+        console.log('[Auth] PIN created');
+    }
+
+    // Millisecondi di attesa prima del prossimo tentativo
+    getLockoutRemaining() {
+        const lockout = readAuthItem(AUTH_KEYS.lockout, { failedAttempts: 0, lockedUntil: 0 });
+        return Math.max(0, lockout.lockedUntil - Date.now());
+    }
+
+    registerFailure() {
+        const lockout = readAuthItem(AUTH_KEYS.lockout, { failedAttempts: 0, lockedUntil: 0 });
+        lockout.failedAttempts++;
+
+        const overLimit = lockout.failedAttempts - AUTH_DEFAULTS.freeAttempts;
+        if (overLimit >= 0) {
+            const delay = Math.min(AUTH_DEFAULTS.baseLockoutMs * Math.pow(2, overLimit), AUTH_DEFAULTS.maxLockoutMs);
+            lockout.lockedUntil = Date.now() + delay;
+        }
+
+        writeAuthItem(AUTH_KEYS.lockout, lockout);
+        return lockout;
+    }
+
+    resetFailures() {
+        localStorage.removeItem(AUTH_KEYS.lockout);
+    }
+
+    async verifyPin(pin) {
+        const remaining = this.getLockoutRemaining();
+        if (remaining > 0) {
+            throw new Error(`Troppi tentativi. Riprova tra ${Math.ceil(remaining / 1000)}s`);
+        }
+
+        const stored = readAuthItem(AUTH_KEYS.pin);
+        if (!stored) throw new Error('PIN non impostato');
+
+        const hash = await hashPin(pin || '', base64ToBytes(stored.salt), stored.iterations);
+        if (!bytesEqual(hash, base64ToBytes(stored.hash))) {
+            const lockout = this.registerFailure();
+            const wait = Math.max(0, lockout.lockedUntil - Date.now());
+            throw new Error(wait > 0 ? `PIN errato. Bloccato per ${Math.ceil(wait / 1000)}s` : 'PIN errato');
+        }
+
+        this.resetFailures();
+        return true;
+    }
+
+    // Cambio PIN: verifica, ri-cifratura dei dati e nuovo hash
+    async changePin(oldPin, newPin) {
+        this.validatePinFormat(newPin);
+        await this.verifyPin(oldPin);
+
+        if (cryptoManager.isConfigured()) {
+            await cryptoManager.changePin(oldPin, newPin);
+        }
+        await this.setPin(newPin);
+
+        // Il PIN protetto dall'autenticatore non è più valido
+        this.disableWebAuthn();
+        console.log('[Auth] PIN changed');
+    }
+
+    // --- WebAuthn (autenticatore di piattaforma con estensione PRF) ---
+
+    async isWebAuthnAvailable() {
+        if (typeof PublicKeyCredential === 'undefined' ||
+            !PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable) {
+            return false;
+        }
+        try {
+            return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+        } catch {
+            return false;
+        }
+    }
+
+    isWebAuthnEnabled() {
+        return !!readAuthItem(AUTH_KEYS.webauthn);
+    }
+
+    // Chiave AES ricavata dal segreto PRF dell'autenticatore
+    async importPrfKey(prfOutput) {
+        const material = await crypto.subtle.importKey('raw', prfOutput, 'HKDF', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('futura-sync-pin') },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async getPrfOutput(credentialId, prfSalt) {
+        const assertion = await navigator.credentials.get({
+            publicKey: {
+                challenge: randomBytes(32),
+                allowCredentials: [{ type: 'public-key', id: credentialId }],
+                userVerification: 'required',
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+
+        const results = assertion.getClientExtensionResults();
+        if (!results.prf || !results.prf.results || !results.prf.results.first) {
+            throw new Error('Questo dispositivo non supporta lo sblocco biometrico cifrato');
+        }
+        return results.prf.results.first;
+    }
+
+    // Registra una credenziale di piattaforma e vi associa il PIN cifrato
+    async enableWebAuthn(pin) {
+        await this.verifyPin(pin);
+
+        const prfSalt = randomBytes(32);
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: randomBytes(32),
+                rp: { name: 'FUTURA SYNC' },
+                user: { id: randomBytes(16), name: 'futura-sync', displayName: 'FUTURA SYNC' },
+                pubKeyCredParams: [
+                    { type: 'public-key', alg: -7 },
+                    { type: 'public-key', alg: -257 }
+                ],
+                authenticatorSelection: {
+                    authenticatorAttachment: 'platform',
+                    userVerification: 'required',
+                    residentKey: 'preferred'
+                },
+                extensions: { prf: {} }
+            }
+        });
+
+        const credentialId = new Uint8Array(credential.rawId);
+        const prfOutput = await this.getPrfOutput(credentialId, prfSalt);
+        const key = await this.importPrfKey(prfOutput);
+
+        writeAuthItem(AUTH_KEYS.webauthn, {
+            credentialId: bytesToBase64(credentialId),
+            prfSalt: bytesToBase64(prfSalt),
+            wrappedPin: await encryptJSON(key, pin)
+        });
+        console.log('[Auth] WebAuthn unlock enabled');
+    }
+
+    disableWebAuthn() {
+        localStorage.removeItem(AUTH_KEYS.webauthn);
+    }
+
+    // Ritorna il PIN dopo la verifica biometrica
+    async unlockWithWebAuthn() {
+        const config = readAuthItem(AUTH_KEYS.webauthn);
+        if (!config) throw new Error('Sblocco biometrico non configurato');
+
+        const prfOutput = await this.getPrfOutput(base64ToBytes(config.credentialId), base64ToBytes(config.prfSalt));
+        const key = await this.importPrfKey(prfOutput);
+        const pin = await decryptJSON(key, config.wrappedPin);
+
+        this.resetFailures();
+        return pin;
+    }
+
+    // --- Auto-lock per inattività ---
+
+    getAutoLockMinutes() {
+        return readAuthItem(AUTH_KEYS.autoLock, AUTH_DEFAULTS.autoLockMinutes);
+    }
+
+    setAutoLockMinutes(minutes) {
+        writeAuthItem(AUTH_KEYS.autoLock, Math.max(0, parseInt(minutes, 10) || 0));
+        this.resetAutoLockTimer();
+    }
+
+    startAutoLock(onLock) {
+        this.onAutoLock = onLock;
+        ['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(event =>
+            window.addEventListener(event, this.activityHandler, { passive: true })
+        );
+        this.resetAutoLockTimer();
+    }
+
+    stopAutoLock() {
+        ['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(event =>
+            window.removeEventListener(event, this.activityHandler)
+        );
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        this.onAutoLock = null;
+    }
+
+    resetAutoLockTimer() {
+        clearTimeout(this.autoLockTimer);
+        const minutes = this.getAutoLockMinutes();
+        if (!this.onAutoLock || minutes <= 0) return;
+
+        this.autoLockTimer = setTimeout(() => {
+            console.log('[Auth] Auto-lock after inactivity');
+            const callback = this.onAutoLock;
+            this.stopAutoLock();
+            callback();
+        }, minutes * 60 * 1000);
+    }
+}
+
+// Singleton
+const authManager = new AuthManager();
@@ -0,0 +1,169 @@
+// Budget Templates - Modelli di budget ricreati automaticamente a ogni nuovo periodo
+// Un modello è un elenco di categorie e importi per un tipo di periodo (settimana, mese, trimestre, anno).
+// All'apertura dell'app i modelli attivi creano i budget del periodo corrente che ancora mancano:
+// un budget già presente (anche modificato a mano) non viene toccato, e il modello non cambia.
+
+const BUDGET_TEMPLATES_KEY = 'budget_templates';
+const BUDGET_TEMPLATE_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Mesi per periodo, per riportare i suggerimenti mensili di suggestBudgets
+const BUDGET_PERIOD_MONTHS = { weekly: 12 / 52, monthly: 1, quarterly: 3, yearly: 12 };
+
+class BudgetTemplateManager {
+    constructor() {
+        this.templates = [];
+        this.loadTemplates();
+    }
+
+    // Normalizza i dati del form in un modello salvabile
+    normalizeTemplate(data) {
+        const items = (data.items || [])
+            .filter(item => item.category)
+            .map(item => ({
+                category: item.category,
+                amount: Math.round((parseFloat(item.amount) || 0) * 100) / 100,
+                ...budgetManager.normalizeRollover(item)
+            }));
+        return {
+            name: (data.name || '').trim(),
+            period: BUDGET_TEMPLATE_PERIODS.includes(data.period) ? data.period : 'monthly',
+            items,
+            enabled: data.enabled !== false,
+            autoAdjust: !!data.autoAdjust,
+            lastPeriodKey: data.lastPeriodKey || null
+        };
+    }
+
+    // Errori di validazione (vuoto = modello valido)
+    validateTemplate(template) {
+        const errors = [];
+        if (!template.name) errors.push('Dai un nome al modello');
+        if (!template.items.length) errors.push('Aggiungi almeno una categoria');
+        if (template.items.some(item => !(item.amount > 0))) errors.push('Ogni categoria deve avere un importo positivo');
+        const categories = template.items.map(item => item.category);
+        if (new Set(categories).size !== categories.length) errors.push('Una categoria compare più volte');
+        return errors;
+    }
+
+    // Crea nuovo modello
+    createTemplate(data) {
+        const template = { id: generateId(), ...this.normalizeTemplate(data), createdAt: new Date().toISOString() };
+        const errors = this.validateTemplate(template);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        this.templates.push(template);
+        this.saveTemplates();
+        return template;
+    }
+
+    // Modello dai budget in corso di un periodo (es. quelli del mese sistemati a mano)
+    createFromBudgets(name, period, budgets) {
+        return this.createTemplate({
+            name,
+            period,
+            items: budgets
+                .filter(b => b.period === period)
+                .map(b => ({ category: b.category, amount: b.amount, rollover: b.rollover, rolloverCap: b.rolloverCap }))
+        });
+    }
+
+    // Update modello
+    updateTemplate(id, data) {
+        const index = this.templates.findIndex(t => t.id === id);
+        if (index === -1) return null;
+
+        const template = { ...this.templates[index], ...this.normalizeTemplate({ ...this.templates[index], ...data }) };
+        const errors = this.validateTemplate(template);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        this.templates[index] = template;
+        this.saveTemplates();
+        return template;
+    }
+
+    // Delete modello (i budget già creati restano)
+    deleteTemplate(id) {
+        this.templates = this.templates.filter(t => t.id !== id);
+        this.saveTemplates();
+    }
+
+    // Toggle active status
+    toggleTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (template) {
+            template.enabled = !template.enabled;
+            this.saveTemplates();
+        }
+        return template || null;
+    }
+
+    // Importi aggiornati dalla media di spesa dei 3 mesi prima di date
+    // (suggestBudgets è mensile, si riporta al periodo)
+    adjustFromHistory(template, transactions, date = new Date()) {
+        const suggestions = budgetManager.suggestBudgets(transactions, 3, 'category', date);
+        let changed = false;
+
+        template.items.forEach(item => {
+            const suggestion = suggestions[item.category];
+            if (!suggestion) return;
+            const amount = Math.ceil(suggestion.suggested * BUDGET_PERIOD_MONTHS[template.period]);
+            if (amount > 0 && amount !== item.amount) {
+                item.amount = amount;
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    // Crea i budget mancanti del periodo che contiene date; quelli esistenti restano come sono
+    instantiate(template, date = new Date(), transactions = []) {
+        const periodKey = budgetManager.periodKey(template.period, getPeriodBounds(template.period, date).start);
+        if (template.autoAdjust && transactions.length) this.adjustFromHistory(template, transactions, date);
+
+        const created = [];
+        template.items.forEach(item => {
+            if (budgetManager.findBudget(item.category, template.period, periodKey)) return;
+            const budget = budgetManager.createBudget(item.category, item.amount, date, {
+                period: template.period,
+                rollover: item.rollover,
+                rolloverCap: item.rolloverCap
+            });
+            budgetManager.updateBudget(budget.id, { templateId: template.id });
+            created.push(budget);
+        });
+
+        template.lastPeriodKey = periodKey;
+        this.saveTemplates();
+        return created;
+    }
+
+    // Applica i modelli attivi una sola volta per periodo: riaprire l'app non ricrea
+    // i budget eliminati a mano nel periodo in corso
+    applyDue(transactions = [], date = new Date()) {
+        const created = [];
+        this.templates
+            .filter(template => template.enabled)
+            .forEach(template => {
+                const periodKey = budgetManager.periodKey(template.period, getPeriodBounds(template.period, date).start);
+                if (template.lastPeriodKey === periodKey) return;
+                created.push(...this.instantiate(template, date, transactions));
+            });
+
+        if (created.length) console.log(`[BudgetTemplates] Created ${created.length} budgets from templates`);
+        return created;
+    }
+
+    // Load modelli da storage
+    loadTemplates() {
+        this.templates = storage.get(BUDGET_TEMPLATES_KEY, []);
+    }
+
+    // Save modelli
+    saveTemplates() {
+        storage.set(BUDGET_TEMPLATES_KEY, this.templates);
+    }
+}
+
+// Singleton
+const budgetTemplateManager = new BudgetTemplateManager();
@@ -1,4 +1,23 @@
-// Budget - Sistema gestione budget mensili
+// Budget - Sistema gestione budget per periodo (settimana, mese, trimestre, anno o intervallo libero)
+// Ogni budget copre un intervallo di date start..end (chiavi 'YYYY-MM-DD', estremi inclusi).
+// Modalità envelope: quanto avanza (o si sfora) in un periodo passa alla busta del periodo dopo
+// secondo la politica del budget: 'full' tutto, 'capped' avanzo fino a rolloverCap, 'none' niente.
+// Zero-based: le entrate ricevute nel mese formano il fondo "da assegnare", da distribuire tra le buste.
+// Ritmo: getBudgetPace proietta la spesa a fine periodo (ricorrenze in arrivo comprese) per avvisare in anticipo.
+
+const BUDGET_ROLLOVER_POLICIES = ['none', 'full', 'capped'];
+const BUDGET_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+const BUDGET_PERIOD_LABELS = {
+    weekly: 'Settimanale',
+    monthly: 'Mensile',
+    quarterly: 'Trimestrale',
+    yearly: 'Annuale',
+    custom: 'Intervallo'
+};
+
+// Ritmo di spesa: avvisi solo dopo il 15% del periodo e oltre il 10% sopra la spesa attesa
+const BUDGET_PACE_MIN_ELAPSED = 0.15;
+const BUDGET_PACE_TOLERANCE = 1.1;
 
 class BudgetManager {
     constructor() {
@@ -6,16 +25,21 @@ class BudgetManager {
         this.loadBudgets();
     }
 
-    // Crea nuovo budget
-    createBudget(category, amount, month = new Date()) {
-        const monthKey = `${month.getFullYear()}-${month.getMonth() + 1}`;
+    // Crea nuovo budget per il periodo che contiene date
+    // options: { period, start, end (solo 'custom', 'YYYY-MM-DD'), rollover, rolloverCap }
+    createBudget(category, amount, date = new Date(), options = {}) {
+        const range = this.resolvePeriod(options.period || 'monthly', date, options);
+        if (this.findBudget(category, range.period, range.periodKey)) {
+            throw new Error('Esiste già un budget per questa categoria nel periodo');
+        }
 
         const budget = {
             id: generateId(),
             category,
             amount: parseFloat(amount),
-            month: monthKey,
+            ...range,
             spent: 0,
+            ...this.normalizeRollover(options),
             createdAt: new Date().toISOString()
         };
 
@@ -25,11 +49,68 @@ class BudgetManager {
         return budget;
     }
 
-    // Update budget
+    // Periodo, chiave e intervallo di date di un budget
+    resolvePeriod(period, date = new Date(), { start, end } = {}) {
+        if (!BUDGET_PERIODS.includes(period)) throw new Error(`Periodo sconosciuto: ${period}`);
+
+        if (period === 'custom') {
+            if (!start || !end) throw new Error('Indica inizio e fine dell\'intervallo');
+            const from = toDateKey(parseDateKey(start));
+            const to = toDateKey(parseDateKey(end));
+            if (from > to) throw new Error('La data di inizio è successiva alla fine');
+            return { period, periodKey: `${from}_${to}`, start: from, end: to };
+        }
+
+        const bounds = getPeriodBounds(period, date);
+        return {
+            period,
+            periodKey: this.periodKey(period, bounds.start),
+            start: toDateKey(bounds.start),
+            end: toDateKey(bounds.end)
+        };
+    }
+
+    // Chiave leggibile e ordinabile: '2025-W07', '2025-03', '2025-Q1', '2025'
+    periodKey(period, date) {
+        const pad = n => String(n).padStart(2, '0');
+        switch (period) {
+            case 'weekly': {
+                const { year, week } = getIsoWeek(date);
+                return `${year}-W${pad(week)}`;
+            }
+            case 'quarterly': return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+            case 'yearly': return `${date.getFullYear()}`;
+            default: return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+        }
+    }
+
+    // Intervallo del budget come Date (fine inclusa fino all'ultimo millisecondo)
+    getBudgetBounds(budget) {
+        const start = parseDateKey(budget.start);
+        const end = parseDateKey(budget.end);
+        end.setHours(23, 59, 59, 999);
+        return { start, end };
+    }
+
+    // Politica di rollover validata; senza indicazioni i periodi restano isolati come prima
+    normalizeRollover({ rollover = 'none', rolloverCap = null } = {}) {
+        const policy = BUDGET_ROLLOVER_POLICIES.includes(rollover) ? rollover : 'none';
+        const cap = parseFloat(rolloverCap);
+        return {
+            rollover: policy,
+            rolloverCap: policy === 'capped' ? (cap > 0 ? cap : 0) : null
+        };
+    }
+
+    // Update budget (periodo e intervallo non cambiano: si crea un nuovo budget)
     updateBudget(id, updates) {
         const index = this.budgets.findIndex(b => b.id === id);
         if (index !== -1) {
-            this.budgets[index] = { ...this.budgets[index], ...updates };
+            const { period, periodKey, start, end, ...changes } = updates;
+            const rollover = changes.rollover !== undefined || changes.rolloverCap !== undefined
+                ? this.normalizeRollover({ ...this.budgets[index], ...changes })
+                : {};
+            this.budgets[index] = { ...this.budgets[index], ...changes, ...rollover };
             this.saveBudgets();
             return this.budgets[index];
         }
@@ -42,45 +123,95 @@ class BudgetManager {
         this.saveBudgets();
     }
 
-    // Get budget per categoria e mese
-    getBudget(category, month = new Date()) {
-        const monthKey = `${month.getFullYear()}-${month.getMonth() + 1}`;
-        return this.budgets.find(b => b.category === category && b.month === monthKey);
+    findBudget(category, period, periodKey) {
+        return this.budgets.find(b => b.category === category && b.period === period && b.periodKey === periodKey);
     }
 
-    // Get tutti i budget del mese
+    // Get budget per categoria nel periodo che contiene date
+    getBudget(category, date = new Date(), period = 'monthly') {
+        if (period === 'custom') {
+            return this.getActiveBudgets(date).find(b => b.category === category && b.period === 'custom');
+        }
+        return this.findBudget(category, period, this.periodKey(period, date));
+    }
+
+    // Get tutti i budget mensili del mese
     getMonthBudgets(month = new Date()) {
-        const monthKey = `${month.getFullYear()}-${month.getMonth() + 1}`;
-        return this.budgets.filter(b => b.month === monthKey);
+        const key = this.periodKey('monthly', month);
+        return this.budgets.filter(b => b.period === 'monthly' && b.periodKey === key);
+    }
+
+    // Budget di qualunque periodo in corso alla data
+    getActiveBudgets(date = new Date()) {
+        return this.budgets.filter(budget => {
+            const { start, end } = this.getBudgetBounds(budget);
+            return date >= start && date <= end;
+        });
     }
 
-    // Calcola spesa per categoria nel mese
+    // Calcola spesa per categoria nel mese (un budget su una categoria principale include le sottocategorie)
     calculateSpent(category, transactions, month = new Date()) {
         const bounds = getMonthBounds(month);
+        return this.calculateSpentBetween(category, transactions, bounds.start, bounds.end);
+    }
 
-        const categoryExpenses = transactions.filter(t =>
+    // Spesa per categoria in un intervallo qualunque
+    calculateSpentBetween(category, transactions, start, end) {
+        const expenses = transactions.filter(t =>
             t.type === 'out' &&
-            t.category === category &&
-            isDateInRange(t.timestamp || t.date, bounds.start, bounds.end)
+            isDateInRange(t.timestamp || t.date, start, end)
         );
 
-        return categoryExpenses.reduce((sum, t) => sum + parseFloat(t.amount), 0);
+        // Delle transazioni ripartite conta solo la quota delle righe di questa categoria
+        return expenses.reduce((sum, t) =>
+            sum + transactionAmountFor(t, id => categoryManager.isInCategory(id, category)), 0);
+    }
+
+    // Spesa nel periodo del budget
+    calculateBudgetSpent(budget, transactions) {
+        const { start, end } = this.getBudgetBounds(budget);
+        return this.calculateSpentBetween(budget.category, transactions, start, end);
     }
 
     // Update spent per tutti i budget
     updateAllSpent(transactions) {
         this.budgets.forEach(budget => {
-            const month = new Date(budget.month + '-01');
-            budget.spent = this.calculateSpent(budget.category, transactions, month);
+            budget.spent = this.calculateBudgetSpent(budget, transactions);
         });
 
         this.saveBudgets();
     }
 
-    // Get budget status
+    // Busta del periodo precedente: stessa categoria e tipo di periodo, finita il giorno prima dell'inizio
+    getPreviousBudget(budget) {
+        const dayBefore = parseDateKey(budget.start);
+        dayBefore.setDate(dayBefore.getDate() - 1);
+        const end = toDateKey(dayBefore);
+        return this.budgets.find(b =>
+            b.category === budget.category && b.period === budget.period && b.end === end) || null;
+    }
+
+    // Riporto in entrata: disponibile finale della busta precedente filtrato dalla sua politica.
+    // L'avanzo 'capped' si ferma a rolloverCap, lo sforamento passa sempre per intero.
+    getCarryover(budget, seen = new Set()) {
+        const previous = this.getPreviousBudget(budget);
+        if (!previous || seen.has(previous.id)) return 0;
+
+        const policy = previous.rollover || 'none';
+        if (policy === 'none') return 0;
+
+        seen.add(previous.id);
+        const available = previous.amount + this.getCarryover(previous, seen) - (previous.spent || 0);
+        if (policy === 'capped' && available > 0) return Math.min(available, previous.rolloverCap || 0);
+        return available;
+    }
+
+    // Get budget status: disponibile = assegnato + riportato - speso
     getBudgetStatus(budget) {
-        const percentage = (budget.spent / budget.amount) * 100;
-        const remaining = budget.amount - budget.spent;
+        const carried = this.getCarryover(budget);
+        const funded = budget.amount + carried;
+        const available = funded - budget.spent;
+        const percentage = funded > 0 ? (budget.spent / funded) * 100 : (budget.spent > 0 ? 100 : 0);
 
         let status = 'safe';
         if (percentage >= 100) status = 'exceeded';
@@ -89,27 +220,35 @@ class BudgetManager {
 
         return {
             percentage: Math.min(percentage, 100),
+            assigned: budget.amount,
+            carried,
+            funded,
             spent: budget.spent,
-            remaining,
+            available,
+            remaining: available,
             status,
-            overbudget: remaining < 0
+            overbudget: available < 0
         };
     }
 
     // Check se budget è stato superato
     checkBudgetAlerts(transactions) {
         const alerts = [];
-        const currentBudgets = this.getMonthBudgets();
+        const currentBudgets = this.getActiveBudgets();
 
         currentBudgets.forEach(budget => {
-            const spent = this.calculateSpent(budget.category, transactions);
-            const percentage = (spent / budget.amount) * 100;
+            const spent = this.calculateBudgetSpent(budget, transactions);
+            // La soglia tiene conto di quanto riportato dal periodo precedente
+            const funded = budget.amount + this.getCarryover(budget);
+            const percentage = funded > 0 ? (spent / funded) * 100 : (spent > 0 ? 100 : 0);
+            const available = funded - spent;
 
             if (percentage >= 80 && percentage < 100) {
                 alerts.push({
                     type: 'warning',
                     budget,
                     percentage,
+                    available,
                     message: `Budget "${categoryManager.getCategory(budget.category)?.name}" al ${Math.round(percentage)}%`
                 });
             } else if (percentage >= 100) {
@@ -117,6 +256,7 @@ class BudgetManager {
                     type: 'exceeded',
                     budget,
                     percentage,
+                    available,
                     message: `Budget "${categoryManager.getCategory(budget.category)?.name}" superato del ${Math.round(percentage - 100)}%`
                 });
             }
@@ -125,15 +265,182 @@ class BudgetManager {
         return alerts;
     }
 
-    // Raccomandazioni budget
-    suggestBudgets(transactions, months = 3) {
+    // Ritmo di spesa del budget alla data: quanto ci si aspettava di aver speso, proiezione a fine periodo
+    // e giorno in cui la busta si esaurisce. Le ricorrenze già pagate e quelle in arrivo
+    // (RecurringManager.getForecast) contano alla loro data; il resto della spesa si proietta al ritmo medio.
+    getBudgetPace(budget, transactions, date = new Date(), forecast = null) {
+        const { start, end } = this.getBudgetBounds(budget);
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const dayMs = 86400000;
+        const totalDays = Math.round((parseDateKey(budget.end) - start) / dayMs) + 1;
+        const elapsedDays = Math.min(Math.max(Math.round((today - start) / dayMs) + 1, 0), totalDays);
+        const remainingDays = totalDays - elapsedDays;
+
+        const funded = budget.amount + this.getCarryover(budget);
+        const inBudget = id => categoryManager.isInCategory(id, budget.category);
+        const expenses = transactions.filter(t =>
+            t.type === 'out' && isDateInRange(t.timestamp || t.date, start, end));
+        const spent = expenses.reduce((sum, t) => sum + transactionAmountFor(t, inBudget), 0);
+        const recurringSpent = expenses
+            .filter(t => t.recurring)
+            .reduce((sum, t) => sum + transactionAmountFor(t, inBudget), 0);
+
+        // Addebiti ricorrenti previsti da domani a fine periodo, contati dalla data del calcolo (non da oggi)
+        if (!forecast) {
+            forecast = typeof recurringManager !== 'undefined' && remainingDays > 0
+                ? recurringManager.getForecast(remainingDays + 1, today) : [];
+        }
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const upcoming = forecast
+            .filter(item => item.type === 'out' && inBudget(item.recurring.category || 'other') &&
+                isDateInRange(item.date, tomorrow, end))
+            .map(item => ({ date: new Date(item.date), amount: item.amount, desc: item.recurring.desc }));
+        const upcomingTotal = upcoming.reduce((sum, item) => sum + item.amount, 0);
+
+        // Spesa variabile: ritmo giornaliero finora, atteso distribuito uniformemente nel periodo
+        const variableSpent = spent - recurringSpent;
+        const dailyRate = elapsedDays > 0 ? variableSpent / elapsedDays : 0;
+        const variableBudget = Math.max(funded - recurringSpent - upcomingTotal, 0);
+        const expectedToDate = recurringSpent + variableBudget * (elapsedDays / totalDays);
+        const projected = spent + dailyRate * remainingDays + upcomingTotal;
+
+        // Giorno per giorno fino a fine periodo: quando il disponibile scende sotto zero
+        let runOutDate = null;
+        if (spent > funded) {
+            runOutDate = today;
+        } else if (projected > funded) {
+            let available = funded - spent;
+            for (let day = 1; day <= remainingDays && !runOutDate; day++) {
+                const current = new Date(today.getFullYear(), today.getMonth(), today.getDate() + day);
+                available -= dailyRate + upcoming
+                    .filter(item => toDateKey(item.date) === toDateKey(current))
+                    .reduce((sum, item) => sum + item.amount, 0);
+                if (available < 0) runOutDate = current;
+            }
+        }
+
+        // In anticipo sul ritmo: oltre la tolleranza rispetto all'atteso e con proiezione oltre la busta.
+        // Nei primi giorni del periodo una sola spesa sposterebbe tutto: si aspetta BUDGET_PACE_MIN_ELAPSED
+        const elapsedRatio = elapsedDays / totalDays;
+        const aheadOfPace = spent <= funded && elapsedRatio >= BUDGET_PACE_MIN_ELAPSED &&
+            spent > expectedToDate * BUDGET_PACE_TOLERANCE && projected > funded;
+
+        return {
+            funded,
+            spent,
+            totalDays,
+            elapsedDays,
+            remainingDays,
+            expectedToDate,
+            projected,
+            upcoming,
+            upcomingTotal,
+            dailyRate,
+            runOutDate,
+            aheadOfPace,
+            status: spent > funded ? 'over' : (aheadOfPace ? 'ahead' : 'on-track')
+        };
+    }
+
+    // Avvisi anticipati: budget in corso che a questo ritmo finiranno prima della fine del periodo
+    // Un solo avviso per budget, cioè per periodo: quelli già avvisati (paceAlertedAt) sono esclusi
+    checkPaceAlerts(transactions, date = new Date()) {
+        return this.getActiveBudgets(date)
+            .filter(budget => !budget.paceAlertedAt)
+            .map(budget => ({ budget, pace: this.getBudgetPace(budget, transactions, date) }))
+            .filter(({ pace }) => pace.aheadOfPace)
+            .map(({ budget, pace }) => ({
+                type: 'pace',
+                budget,
+                pace,
+                message: `Budget "${categoryManager.getCategory(budget.category)?.name}": proiezione €${pace.projected.toFixed(2)} su €${pace.funded.toFixed(2)}`
+            }));
+    }
+
+    markPaceAlerted(ids) {
+        if (!ids.length) return;
+        const alertedAt = new Date().toISOString();
+        this.budgets = this.budgets.map(b => ids.includes(b.id) ? { ...b, paceAlertedAt: alertedAt } : b);
+        this.saveBudgets();
+    }
+
+    // Zero-based: entrate effettivamente ricevute nel mese, da distribuire tra le buste.
+    // Contano le transazioni in entrata e le entrate future segnate come ricevute (receivedAt nel mese).
+    getReceivedIncome(transactions, futureIncomes = [], month = new Date()) {
+        const bounds = getMonthBounds(month);
+        const fromTransactions = transactions
+            .filter(t => t.type === 'in' && isDateInRange(t.timestamp || t.date, bounds.start, bounds.end))
+            .reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
+        const fromFutureIncomes = futureIncomes
+            .filter(income => income.received && income.receivedAt &&
+                isDateInRange(income.receivedAt, bounds.start, bounds.end))
+            .reduce((sum, income) => sum + (parseFloat(income.amount) || 0), 0);
+        return fromTransactions + fromFutureIncomes;
+    }
+
+    // Buste finanziate con le entrate del mese: quelle il cui periodo inizia nel mese
+    // (un fondo annuale pesa sul mese in cui parte, una settimana a cavallo sul mese del lunedì)
+    getBudgetsFundedIn(month = new Date()) {
+        const bounds = getMonthBounds(month);
+        return this.budgets.filter(b => isDateInRange(parseDateKey(b.start), bounds.start, bounds.end));
+    }
+
+    // Totale assegnato alle buste del mese
+    getAssignedTotal(month = new Date()) {
+        return this.getBudgetsFundedIn(month).reduce((sum, b) => sum + b.amount, 0);
+    }
+
+    // Piano del mese: toBeAssigned > 0 euro ancora da assegnare, < 0 assegnato più del ricevuto
+    getAssignmentPlan(transactions, futureIncomes = [], month = new Date()) {
+        const income = this.getReceivedIncome(transactions, futureIncomes, month);
+        const assigned = this.getAssignedTotal(month);
+        const toBeAssigned = Math.round((income - assigned) * 100) / 100;
+        return {
+            income,
+            assigned,
+            toBeAssigned,
+            overAssigned: toBeAssigned < 0,
+            budgets: this.getBudgetsFundedIn(month)
+        };
+    }
+
+    // Sposta denaro tra due buste; null come origine o destinazione è il fondo "da assegnare"
+    moveBetweenBudgets(fromId, toId, amount) {
+        const value = Math.round(parseFloat(amount) * 100) / 100;
+        const from = fromId ? this.budgets.find(b => b.id === fromId) : null;
+        const to = toId ? this.budgets.find(b => b.id === toId) : null;
+
+        if (!(value > 0)) throw new Error('Importo da spostare non valido');
+        if (fromId === toId) throw new Error('Origine e destinazione coincidono');
+        if ((fromId && !from) || (toId && !to)) throw new Error('Budget non trovato');
+        if (from && to && (from.start !== to.start || from.end !== to.end)) {
+            throw new Error('Si può spostare solo tra buste dello stesso periodo');
+        }
+        if (from && value > from.amount) {
+            throw new Error(`La busta di origine ha solo € ${from.amount.toFixed(2)} assegnati`);
+        }
+
+        if (from) from.amount = Math.round((from.amount - value) * 100) / 100;
+        if (to) to.amount = Math.round((to.amount + value) * 100) / 100;
+        this.saveBudgets();
+        return { from, to, amount: value };
+    }
+
+    // Raccomandazioni budget (level 'parent' = un budget per categoria principale)
+    suggestBudgets(transactions, months = 3, level = 'category', date = new Date()) {
         const suggestions = {};
 
-        // Analizza ultimi N mesi
-        const categoryStats = categoryManager.getCategoryStats(transactions);
+        // Analizza le spese degli ultimi N mesi completi prima di date: la media divide per months
+        const start = new Date(date.getFullYear(), date.getMonth() - months, 1);
+        const end = new Date(date.getFullYear(), date.getMonth(), 1, 0, 0, 0, -1);
+        const expenses = transactions.filter(t =>
+            t.type === 'out' &&
+            isDateInRange(t.timestamp || t.date, start, end)
+        );
+        const categoryStats = categoryManager.getCategoryStats(expenses, { level });
 
         categoryStats.forEach(stat => {
-            if (stat.count > 0) {
+            if (stat.count > 0 && stat.category) {
                 const avgMonthly = stat.total / months;
                 const suggested = Math.ceil(avgMonthly * 1.1); // +10% buffer
 
@@ -153,9 +460,19 @@ class BudgetManager {
         storage.set('budgets', this.budgets);
     }
 
+    // I budget salvati prima dei periodi hanno solo month 'YYYY-M': diventano mensili
+    normalizeStoredBudget(budget) {
+        if (budget.period) return budget;
+        const [year, month] = String(budget.month).split('-').map(Number);
+        const { month: legacyKey, year: legacyYear, ...rest } = budget;
+        return { ...rest, ...this.resolvePeriod('monthly', new Date(year, month - 1, 1)) };
+    }
+
     // Load from storage
     loadBudgets() {
-        this.budgets = storage.get('budgets', []);
+        const stored = storage.get('budgets', []);
+        this.budgets = stored.map(budget => this.normalizeStoredBudget(budget));
+        if (stored.some(budget => !budget.period)) this.saveBudgets();
     }
 
     // Export budgets
@@ -165,7 +482,7 @@ class BudgetManager {
 
     // Import budgets
     importBudgets(data) {
-        this.budgets = data;
+        this.budgets = data.map(budget => this.normalizeStoredBudget(budget));
         this.saveBudgets();
     }
 }
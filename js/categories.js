@@ -1,9 +1,15 @@
 // Categories - Sistema categorizzazione transazioni
+// Due livelli: le sottocategorie hanno parent = id della categoria principale
 
 const DEFAULT_CATEGORIES = [
     { id: 'food', name: 'Alimentari', icon: '🛒', color: '#10b981' },
     { id: 'transport', name: 'Trasporti', icon: '🚗', color: '#3b82f6' },
+    { id: 'fuel', name: 'Carburante', icon: '⛽', color: '#60a5fa', parent: 'transport' },
+    { id: 'train', name: 'Treno', icon: '🚆', color: '#1d4ed8', parent: 'transport' },
     { id: 'home', name: 'Casa', icon: '🏠', color: '#8b5cf6' },
+    { id: 'rent', name: 'Affitto', icon: '🔑', color: '#a78bfa', parent: 'home' },
+    { id: 'utilities', name: 'Bollette', icon: '💡', color: '#7c3aed', parent: 'home' },
+    { id: 'condo', name: 'Condominio', icon: '🏢', color: '#c4b5fd', parent: 'home' },
     { id: 'health', name: 'Salute', icon: '⚕️', color: '#ef4444' },
     { id: 'entertainment', name: 'Svago', icon: '🎮', color: '#f59e0b' },
     { id: 'education', name: 'Educazione', icon: '📚', color: '#06b6d4' },
@@ -14,19 +20,30 @@ const DEFAULT_CATEGORIES = [
     { id: 'other', name: 'Altro', icon: '📦', color: '#64748b' }
 ];
 
+// Id delle versioni precedenti (le vecchie mappe in index.html) -> categoria del registro
+const LEGACY_CATEGORY_IDS = { shopping: 'clothing', bills: 'utilities', Altro: 'other' };
+
+// Personalizzazioni delle predefinite: { id: { name?, color?, icon?, parent?, mergedInto? } }
+const CATEGORY_OVERRIDES_KEY = 'category_overrides';
+
 class CategoryManager {
     constructor() {
         this.categories = [...DEFAULT_CATEGORIES];
         this.customCategories = [];
+        this.overrides = {};
         this.patterns = this.initPatterns();
     }
 
-    // Pattern per auto-categorizzazione
+    // Pattern per auto-categorizzazione (sottocategorie prima: vince la più specifica)
     initPatterns() {
         return {
+            fuel: ['benzina', 'carburante', 'gasolio', 'diesel'],
+            train: ['treno', 'trenitalia', 'italo'],
+            rent: ['affitto'],
+            utilities: ['bolletta', 'luce', 'gas', 'acqua', 'internet', 'telefono'],
+            condo: ['condominio'],
             food: ['super', 'alimentari', 'spesa', 'lidl', 'coop', 'esselunga', 'conad', 'pizza', 'ristorante', 'bar', 'caffè'],
-            transport: ['benzina', 'carburante', 'treno', 'autobus', 'taxi', 'uber', 'atm', 'trenitalia', 'italo'],
-            home: ['affitto', 'bolletta', 'luce', 'gas', 'acqua', 'internet', 'telefono', 'condominio'],
+            transport: ['autobus', 'taxi', 'uber', 'atm'],
             health: ['farmacia', 'medico', 'ospedale', 'dentista', 'analisi'],
             entertainment: ['cinema', 'teatro', 'concerto', 'museo', 'netflix', 'spotify', 'gaming'],
             education: ['libri', 'corso', 'università', 'scuola', 'formazione'],
@@ -52,36 +69,240 @@ class CategoryManager {
         return 'other'; // Default
     }
 
+    // Categoria e tag per una transazione: regole utente, poi classificatore appreso, poi parole chiave
+    categorize(transaction) {
+        if (typeof categoryRuleManager !== 'undefined') {
+            const result = categoryRuleManager.apply(transaction);
+            if (result) return { category: result.category, tags: result.tags };
+        }
+        if (typeof categoryClassifier !== 'undefined') {
+            const suggestion = categoryClassifier.classify(transaction);
+            if (suggestion) return { category: suggestion.category, tags: transaction.tags || [] };
+        }
+        return { category: this.resolveId(this.autoCategorizeDinámico(transaction.desc || '')), tags: transaction.tags || [] };
+    }
+
+    // Segue le fusioni e gli id legacy fino a una categoria esistente (id sconosciuti invariati)
+    resolveId(id) {
+        const seen = new Set();
+        let current = LEGACY_CATEGORY_IDS[id] || id;
+        while (this.overrides[current] && this.overrides[current].mergedInto && !seen.has(current)) {
+            seen.add(current);
+            current = this.overrides[current].mergedInto;
+        }
+        return current;
+    }
+
     // Get categoria by ID
     getCategory(id) {
-        const all = [...this.categories, ...this.customCategories];
-        return all.find(cat => cat.id === id);
+        const all = this.getAllCategories();
+        return all.find(cat => cat.id === id) || all.find(cat => cat.id === this.resolveId(id));
     }
 
-    // Get tutte le categorie
+    // Get tutte le categorie, ogni principale seguita dalle sue sottocategorie
+    // Le predefinite passano dalle personalizzazioni (nome, colore, icona, parent) e spariscono se fuse
     getAllCategories() {
-        return [...this.categories, ...this.customCategories];
+        const defaults = this.categories
+            .filter(cat => !(this.overrides[cat.id] && this.overrides[cat.id].mergedInto))
+            .map(cat => {
+                const { mergedInto, ...override } = this.overrides[cat.id] || {};
+                return { ...cat, ...override };
+            });
+        const all = [...defaults, ...this.customCategories];
+        return all
+            .filter(cat => !cat.parent)
+            .flatMap(cat => [cat, ...all.filter(child => child.parent === cat.id)]);
+    }
+
+    // Solo le categorie principali
+    getTopLevelCategories() {
+        return this.getAllCategories().filter(cat => !cat.parent);
+    }
+
+    // Sottocategorie dirette
+    getChildren(id) {
+        return this.getAllCategories().filter(cat => cat.parent === id);
+    }
+
+    // Id della categoria principale (se stessa per le principali e per gli id sconosciuti)
+    getParentId(id) {
+        const category = this.getCategory(id);
+        return category && category.parent ? category.parent : id;
+    }
+
+    // true se id è la categoria stessa o una sua sottocategoria
+    isInCategory(id, ancestorId) {
+        return id === ancestorId || this.getParentId(id) === ancestorId;
     }
 
-    // Aggiungi categoria custom
-    addCustomCategory(name, icon = '📁', color = '#64748b') {
+    // Chiave di aggregazione per livello: 'parent' somma le sottocategorie nella principale
+    rollUp(id, level = 'category') {
+        return level === 'parent' ? this.getParentId(id) : id;
+    }
+
+    // Aggiungi categoria custom (parent: id di una categoria principale, opzionale)
+    addCustomCategory(name, icon = '📁', color = '#64748b', parent = null) {
+        if (!String(name || '').trim()) throw new Error('Il nome della categoria è obbligatorio');
+        if (parent && (!this.getCategory(parent) || this.getCategory(parent).parent)) {
+            throw new Error('Le sottocategorie possono stare solo sotto una categoria principale');
+        }
         const id = `custom_${Date.now()}`;
-        const category = { id, name, icon, color, custom: true };
+        const category = { id, name: name.trim(), icon, color, custom: true, ...(parent ? { parent } : {}) };
         this.customCategories.push(category);
         this.saveCustomCategories();
         return category;
     }
 
-    // Rimuovi categoria custom
-    removeCustomCategory(id) {
-        this.customCategories = this.customCategories.filter(cat => cat.id !== id);
-        this.saveCustomCategories();
+    // Rinomina / cambia colore o icona: le custom si modificano, le predefinite si personalizzano
+    updateCategory(id, changes) {
+        const allowed = {};
+        ['name', 'color', 'icon', 'parent'].forEach(key => {
+            if (changes[key] !== undefined) allowed[key] = key === 'name' ? String(changes[key]).trim() : changes[key];
+        });
+        if (allowed.name === '') throw new Error('Il nome della categoria è obbligatorio');
+
+        const custom = this.customCategories.find(cat => cat.id === id);
+        if (custom) {
+            Object.assign(custom, allowed);
+            this.saveCustomCategories();
+        } else if (this.categories.some(cat => cat.id === id)) {
+            this.overrides[id] = { ...this.overrides[id], ...allowed };
+            this.saveOverrides();
+        } else {
+            throw new Error('Categoria non trovata');
+        }
+        return this.getCategory(id);
+    }
+
+    // Fonde source in target: source sparisce, le sue sottocategorie passano sotto target
+    // (o sotto la principale di target) e i riferimenti salvati vengono riscritti.
+    // Ritorna la mappa { vecchioId: nuovoId } da applicare anche alle transazioni con remapTransactions.
+    mergeCategory(sourceId, targetId) {
+        const source = this.getCategory(sourceId);
+        const target = this.getCategory(targetId);
+        if (!source || !target || source.id !== sourceId) throw new Error('Categoria non trovata');
+        if (sourceId === 'other') throw new Error('La categoria "Altro" non può essere eliminata');
+        if (sourceId === targetId) throw new Error('Scegli una categoria diversa');
+        if (target.parent === sourceId) throw new Error('Non si può fondere una categoria in una sua sottocategoria');
+
+        const newParent = target.parent || target.id;
+        this.getChildren(sourceId).forEach(child => this.updateCategory(child.id, { parent: newParent }));
+
+        if (source.custom) {
+            this.customCategories = this.customCategories.filter(cat => cat.id !== sourceId);
+            this.saveCustomCategories();
+        }
+        // Anche per le custom: la fusione resta tracciata per gli id arrivati in seguito dalla sync
+        this.overrides[sourceId] = { mergedInto: target.id };
+        this.saveOverrides();
+
+        const mapping = { [sourceId]: target.id };
+        this.remapStoredReferences(mapping);
+        console.log(`[Categories] Merged ${sourceId} into ${target.id}`);
+        return mapping;
+    }
+
+    // Elimina una categoria riassegnandone i movimenti (default: Altro)
+    deleteCategory(id, reassignTo = 'other') {
+        return this.mergeCategory(id, reassignTo);
+    }
+
+    // Categoria riscritta secondo mapping (transazioni e ripartizioni). Ritorna il numero di transazioni cambiate.
+    remapTransactions(transactions, mapping) {
+        let changed = 0;
+        transactions.forEach((transaction, index) => {
+            const splits = transaction.splits && transaction.splits.length ? transaction.splits : null;
+            const touched = mapping[transaction.category] || (splits && splits.some(split => mapping[split.category]));
+            if (!touched) return;
+
+            transactions[index] = {
+                ...transaction,
+                category: mapping[transaction.category] || transaction.category,
+                ...(splits ? { splits: splits.map(split => ({ ...split, category: mapping[split.category] || split.category })) } : {})
+            };
+            changed++;
+        });
+        return changed;
+    }
+
+    // Budget, ricorrenze e regole che puntano a categorie rinominate, fuse o legacy
+    remapStoredReferences(mapping) {
+        if (typeof budgetManager !== 'undefined') {
+            let changed = false;
+            const budgets = [];
+            budgetManager.budgets.forEach(budget => {
+                const category = mapping[budget.category] || budget.category;
+                if (category !== budget.category) changed = true;
+                // Due budget dello stesso periodo sulla stessa categoria diventano uno solo
+                const existing = budgets.find(b =>
+                    b.category === category && b.period === budget.period && b.periodKey === budget.periodKey);
+                if (existing) existing.amount += budget.amount;
+                else budgets.push({ ...budget, category });
+            });
+            if (changed) {
+                budgetManager.budgets = budgets;
+                budgetManager.saveBudgets();
+            }
+        }
+
+        if (typeof recurringManager !== 'undefined' && recurringManager.recurrings.some(r => mapping[r.category])) {
+            recurringManager.recurrings = recurringManager.recurrings
+                .map(r => mapping[r.category] ? { ...r, category: mapping[r.category] } : r);
+            recurringManager.saveRecurrings();
+        }
+
+        if (typeof categoryRuleManager !== 'undefined' && categoryRuleManager.rules.some(r => mapping[r.category])) {
+            categoryRuleManager.rules = categoryRuleManager.rules
+                .map(r => mapping[r.category] ? { ...r, category: mapping[r.category] } : r);
+            categoryRuleManager.saveRules();
+        }
+
+        if (typeof budgetTemplateManager !== 'undefined' &&
+            budgetTemplateManager.templates.some(t => t.items.some(item => mapping[item.category]))) {
+            // Nel modello due righe fuse nella stessa categoria si sommano, come i budget
+            budgetTemplateManager.templates = budgetTemplateManager.templates.map(template => {
+                const items = [];
+                template.items.forEach(item => {
+                    const category = mapping[item.category] || item.category;
+                    const existing = items.find(i => i.category === category);
+                    if (existing) existing.amount += item.amount;
+                    else items.push({ ...item, category });
+                });
+                return { ...template, items };
+            });
+            budgetTemplateManager.saveTemplates();
+        }
+    }
+
+    // Migrazione degli id legacy (shopping, bills, Altro) e delle categorie fuse nel frattempo.
+    // Non è una migrazione IndexedDB: i record sono cifrati a riposo e i client vecchi possono
+    // continuare a sincronizzare id legacy, quindi si riapplica a ogni caricamento dello stato.
+    migrateTransactions(transactions) {
+        const ids = new Set(transactions.flatMap(t => transactionParts(t).map(part => part.category)));
+        const mapping = {};
+        ids.forEach(id => {
+            const resolved = this.resolveId(id);
+            if (resolved !== id) mapping[id] = resolved;
+        });
+        if (!Object.keys(mapping).length) return 0;
+
+        const changed = this.remapTransactions(transactions, mapping);
+        console.log(`[Categories] Migrated ${changed} transactions:`, mapping);
+        return changed;
+    }
+
+    migrateStoredReferences() {
+        const mapping = { ...LEGACY_CATEGORY_IDS };
+        Object.entries(this.overrides).forEach(([id, override]) => {
+            if (override.mergedInto) mapping[id] = this.resolveId(id);
+        });
+        this.remapStoredReferences(mapping);
     }
 
-    // Load custom categories da storage
+    // Load custom categories e personalizzazioni da storage
     loadCustomCategories() {
-        const saved = storage.get('custom_categories', []);
-        this.customCategories = saved;
+        this.customCategories = storage.get('custom_categories', []);
+        this.overrides = storage.get(CATEGORY_OVERRIDES_KEY, {});
     }
 
     // Save custom categories
@@ -89,12 +310,21 @@ class CategoryManager {
         storage.set('custom_categories', this.customCategories);
     }
 
+    saveOverrides() {
+        storage.set(CATEGORY_OVERRIDES_KEY, this.overrides);
+    }
+
     // Statistiche per categoria
-    getCategoryStats(transactions) {
+    // options.level: 'category' (default, per categoria assegnata) o 'parent' (sottocategorie sommate)
+    // options.parent: solo le transazioni di quella categoria principale, per drill-down
+    getCategoryStats(transactions, options = {}) {
+        const { level = 'category', parent = null } = options;
         const stats = {};
 
-        transactions.forEach(trans => {
-            const catId = trans.category || 'other';
+        // Le transazioni ripartite contano in ogni categoria per la quota della riga
+        transactions.forEach(trans => transactionParts(trans).forEach(part => {
+            if (parent && !this.isInCategory(part.category, parent)) return;
+            const catId = this.rollUp(part.category, level);
             if (!stats[catId]) {
                 stats[catId] = {
                     category: this.getCategory(catId),
@@ -105,18 +335,18 @@ class CategoryManager {
             }
 
             if (trans.type === 'out') {
-                stats[catId].total += trans.amount;
+                stats[catId].total += part.amount;
                 stats[catId].count++;
-                stats[catId].transactions.push(trans);
+                if (!stats[catId].transactions.includes(trans)) stats[catId].transactions.push(trans);
             }
-        });
+        }));
 
         return Object.values(stats).sort((a, b) => b.total - a.total);
     }
 
     // Get top categorie spesa
-    getTopCategories(transactions, limit = 5) {
-        const stats = this.getCategoryStats(transactions);
+    getTopCategories(transactions, limit = 5, options = {}) {
+        const stats = this.getCategoryStats(transactions, options);
         return stats.slice(0, limit);
     }
 }
@@ -0,0 +1,144 @@
+// Classifier - Naive Bayes locale per suggerire la categoria
+// Impara dallo storico categorizzato (le correzioni manuali pesano di più) e gira solo sul dispositivo:
+// il modello si ricostruisce dalle transazioni, non viene salvato né sincronizzato.
+
+const CLASSIFIER_STOPWORDS = new Set([
+    'di', 'da', 'del', 'della', 'dei', 'delle', 'il', 'lo', 'la', 'le', 'gli', 'un', 'una',
+    'per', 'con', 'in', 'su', 'al', 'alla', 'ai', 'e', 'ed', 'a', 'the', 'of', 'srl', 'spa'
+]);
+
+// Limiti superiori delle fasce d'importo (ultima fascia aperta)
+const CLASSIFIER_AMOUNT_BUCKETS = [5, 20, 50, 100, 250, 1000];
+
+// Peso di una categoria corretta a mano rispetto a una assegnata in automatico
+const CLASSIFIER_USER_WEIGHT = 3;
+
+class CategoryClassifier {
+    constructor() {
+        this.minConfidence = 0.6;
+        this.reset();
+    }
+
+    reset() {
+        this.docCounts = {};    // categoria -> peso totale degli esempi
+        this.tokenCounts = {};  // categoria -> { feature -> peso }
+        this.tokenTotals = {};  // categoria -> somma dei pesi delle feature
+        this.vocabulary = new Map(); // feature -> peso su tutte le categorie
+        this.totalDocs = 0;
+    }
+
+    // Token normalizzati: minuscoli, senza accenti e numeri, senza parole vuote
+    tokenize(description) {
+        return (description || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !/^\d+$/.test(token) && !CLASSIFIER_STOPWORDS.has(token));
+    }
+
+    amountBucket(amount) {
+        const value = Math.abs(parseFloat(amount)) || 0;
+        const index = CLASSIFIER_AMOUNT_BUCKETS.findIndex(limit => value < limit);
+        return `amount:${index === -1 ? CLASSIFIER_AMOUNT_BUCKETS.length : index}`;
+    }
+
+    // Feature di una transazione: token della descrizione, fascia d'importo e tipo
+    features(transaction) {
+        const tokens = [...new Set(this.tokenize(transaction.desc))].map(token => `word:${token}`);
+        return [...tokens, this.amountBucket(transaction.amount), `type:${transaction.type || 'out'}`];
+    }
+
+    // 'other' è il default, non un'informazione: non si impara; nemmeno dalle transazioni ripartite
+    isTrainable(transaction) {
+        return transaction && transaction.category && transaction.category !== 'other' && transaction.desc &&
+            !(transaction.splits && transaction.splits.length);
+    }
+
+    weightOf(transaction) {
+        return transaction.categorizedBy === 'user' ? CLASSIFIER_USER_WEIGHT : 1;
+    }
+
+    // Aggiorna i conteggi; sign = -1 per dimenticare un esempio
+    update(transaction, sign) {
+        if (!this.isTrainable(transaction)) return;
+        const category = transaction.category;
+        const weight = this.weightOf(transaction) * sign;
+
+        this.docCounts[category] = (this.docCounts[category] || 0) + weight;
+        this.totalDocs += weight;
+        const counts = this.tokenCounts[category] = this.tokenCounts[category] || {};
+
+        this.features(transaction).forEach(feature => {
+            counts[feature] = (counts[feature] || 0) + weight;
+            this.tokenTotals[category] = (this.tokenTotals[category] || 0) + weight;
+            const total = (this.vocabulary.get(feature) || 0) + weight;
+            if (total > 0) this.vocabulary.set(feature, total);
+            else this.vocabulary.delete(feature);
+            if (counts[feature] <= 0) delete counts[feature];
+        });
+
+        if (this.docCounts[category] <= 0) {
+            delete this.docCounts[category];
+            delete this.tokenCounts[category];
+            delete this.tokenTotals[category];
+        }
+    }
+
+    learn(transaction) {
+        this.update(transaction, 1);
+    }
+
+    forget(transaction) {
+        this.update(transaction, -1);
+    }
+
+    // Ricostruisce il modello da zero sullo storico
+    train(transactions) {
+        this.reset();
+        transactions.forEach(transaction => this.learn(transaction));
+        console.log(`[Classifier] Trained on ${this.totalDocs} weighted examples, ${Object.keys(this.docCounts).length} categories`);
+    }
+
+    // Categorie ordinate per probabilità a posteriori (Laplace smoothing, softmax sui log)
+    predict(transaction) {
+        const categories = Object.keys(this.docCounts);
+        if (!categories.length) return [];
+
+        const features = this.features(transaction);
+        // Senza nessuna parola già vista il suggerimento sarebbe solo la categoria più frequente
+        if (!features.some(feature => feature.startsWith('word:') && this.vocabulary.has(feature))) return [];
+
+        const vocabularySize = this.vocabulary.size || 1;
+        const scores = categories.map(category => {
+            const counts = this.tokenCounts[category] || {};
+            const denominator = (this.tokenTotals[category] || 0) + vocabularySize;
+            let logProb = Math.log(this.docCounts[category] / this.totalDocs);
+            features.forEach(feature => {
+                logProb += Math.log(((counts[feature] || 0) + 1) / denominator);
+            });
+            return { category, logProb };
+        });
+
+        const max = Math.max(...scores.map(s => s.logProb));
+        const sum = scores.reduce((total, s) => total + Math.exp(s.logProb - max), 0);
+
+        return scores
+            .map(({ category, logProb }) => ({ category, confidence: Math.exp(logProb - max) / sum }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Primi suggerimenti per il form
+    suggest(transaction, limit = 3) {
+        return this.predict(transaction).slice(0, limit);
+    }
+
+    // Categoria migliore solo se abbastanza sicura, altrimenti null
+    classify(transaction) {
+        const [best] = this.predict(transaction);
+        return best && best.confidence >= this.minConfidence ? best : null;
+    }
+}
+
+// Singleton
+const categoryClassifier = new CategoryClassifier();
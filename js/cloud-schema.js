@@ -0,0 +1,83 @@
+// Cloud Schema - Versione del documento sincronizzato e upgrade automatici
+// Ogni snapshot porta schemaVersion; ogni operazione del log porta schema (in chiaro, accanto al payload cifrato).
+// I documenti più vecchi vengono aggiornati in lettura; un client che trova uno schema più recente
+// del proprio si rifiuta di scrivere, per non corrompere i dati dei dispositivi aggiornati.
+
+const CLOUD_SCHEMA_VERSION = 3;
+
+// Collezioni e campi di stato con il loro valore iniziale
+const CLOUD_SCHEMA_DEFAULTS = {
+    currentBalance: 0,
+    futureIncomes: [],
+    manualTransactions: [],
+    activeLoans: [],
+    savingsGoals: [],
+    papaLoanData: { totalOriginal: 0, totalRepaid: 0, useManual: false },
+    balanceHistory: [],
+    installments: []
+};
+
+// Registro ordinato per versione: upgrade(doc) riceve un documento della versione precedente
+const CLOUD_SCHEMA_UPGRADES = [
+    {
+        version: 2,
+        description: 'Chiavi aggiunte nel tempo sempre presenti, id su ogni record, tombstone',
+        upgrade(doc) {
+            const upgraded = { ...doc };
+            Object.entries(CLOUD_SCHEMA_DEFAULTS).forEach(([key, value]) => {
+                if (upgraded[key] === undefined || upgraded[key] === null) upgraded[key] = deepClone(value);
+            });
+            // Id derivati dal contenuto: ogni dispositivo che aggiorna lo stesso documento assegna gli stessi id
+            Object.keys(CLOUD_SCHEMA_DEFAULTS).forEach(key => {
+                if (!Array.isArray(upgraded[key])) return;
+                upgraded[key] = upgraded[key].map((record, index) =>
+                    record.id === undefined || record.id === null
+                        ? { ...record, id: `${key}-${index}-${fieldHash(canonicalJSON(record))}` }
+                        : record);
+            });
+            upgraded._tombstones = upgraded._tombstones || {};
+            // La vecchia versione costante in _meta non è mai stata letta
+            delete upgraded._meta;
+            return upgraded;
+        }
+    },
+    {
+        version: 3,
+        description: 'Registro dispositivi',
+        upgrade(doc) {
+            return { ...doc, devices: Array.isArray(doc.devices) ? doc.devices : [] };
+        }
+    }
+];
+
+// I documenti senza schemaVersion sono quelli scritti a mano dai client originali
+function cloudSchemaVersion(doc) {
+    return (doc && Number.isInteger(doc.schemaVersion)) ? doc.schemaVersion : 1;
+}
+
+function cloudSchemaError(version) {
+    const error = new Error(`Dati cloud scritti da una versione più recente dell'app (schema ${version}): aggiorna l'app per sincronizzare`);
+    error.schemaTooNew = true;
+    return error;
+}
+
+// Blocca lettura e scrittura se il cloud usa uno schema che questo client non conosce
+function assertCloudSchemaSupported(version = 1) {
+    if (version > CLOUD_SCHEMA_VERSION) throw cloudSchemaError(version);
+}
+
+// Porta un documento completo (snapshot) alla versione corrente
+function upgradeCloudDocument(doc) {
+    if (!doc) return doc;
+    const from = cloudSchemaVersion(doc);
+    assertCloudSchemaSupported(from);
+
+    const upgraded = CLOUD_SCHEMA_UPGRADES
+        .filter(step => step.version > from)
+        .reduce((current, step) => {
+            console.log(`[Sync] Cloud schema upgrade v${step.version}: ${step.description}`);
+            return { ...step.upgrade(current), schemaVersion: step.version };
+        }, doc);
+
+    return { ...upgraded, schemaVersion: CLOUD_SCHEMA_VERSION };
+}
@@ -0,0 +1,382 @@
+// Crypto - Cifratura dati a riposo e payload cloud con WebCrypto
+// AES-GCM con chiave derivata dal PIN (PBKDF2). Senza sblocco i dati restano illeggibili.
+// I dati sincronizzati usano una passphrase separata, condivisa tra i dispositivi.
+
+const CRYPTO_META_KEY = 'futura_crypto';
+// Meta del nuovo PIN durante un cambio: resta solo se il cambio si è interrotto
+const CRYPTO_PENDING_META_KEY = 'futura_crypto_next';
+const CRYPTO_VERIFIER = 'futura-sync';
+
+const CRYPTO_DEFAULTS = {
+    iterations: 600000,
+    hash: 'SHA-256',
+    saltBytes: 16,
+    ivBytes: 12
+};
+
+// Base64 <-> bytes
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+// Deriva una chiave AES-GCM da un segreto testuale (PIN o passphrase)
+async function deriveAesKey(secret, salt, iterations = CRYPTO_DEFAULTS.iterations, hash = CRYPTO_DEFAULTS.hash) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptBytes(key, bytes) {
+    const iv = randomBytes(CRYPTO_DEFAULTS.ivBytes);
+    const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(cipherText)) };
+}
+
+async function decryptBytes(key, payload) {
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+        key,
+        base64ToBytes(payload.data)
+    );
+    return new Uint8Array(plain);
+}
+
+async function encryptJSON(key, value) {
+    const sealed = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+    return { v: 1, ...sealed };
+}
+
+async function decryptJSON(key, payload) {
+    const bytes = await decryptBytes(key, payload);
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Un valore cifrato a riposo è sempre avvolto in { __enc: { v, iv, data } }
+function isSealed(value) {
+    return !!(value && typeof value === 'object' && value.__enc && value.__enc.iv);
+}
+
+class CryptoManager {
+    constructor() {
+        this.key = null;
+    }
+
+    getMeta(storageKey = CRYPTO_META_KEY) {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey));
+        } catch {
+            return null;
+        }
+    }
+
+    getPendingMeta() {
+        return this.getMeta(CRYPTO_PENDING_META_KEY);
+    }
+
+    isConfigured() {
+        return !!this.getMeta();
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    // Prima attivazione: nuovo salt e verifier cifrato per riconoscere il PIN corretto
+    async setup(pin) {
+        const { meta, key } = await this.createKey(pin);
+        localStorage.setItem(CRYPTO_META_KEY, JSON.stringify(meta));
+        this.key = key;
+        console.log('[Crypto] Encryption at rest enabled');
+    }
+
+    async createKey(pin) {
+        const salt = randomBytes(CRYPTO_DEFAULTS.saltBytes);
+        const key = await deriveAesKey(pin, salt, CRYPTO_DEFAULTS.iterations, CRYPTO_DEFAULTS.hash);
+
+        const meta = {
+            version: 1,
+            kdf: 'PBKDF2',
+            hash: CRYPTO_DEFAULTS.hash,
+            iterations: CRYPTO_DEFAULTS.iterations,
+            salt: bytesToBase64(salt),
+            verifier: await encryptJSON(key, CRYPTO_VERIFIER)
+        };
+
+        return { meta, key };
+    }
+
+    async deriveFromMeta(pin, meta) {
+        const key = await deriveAesKey(pin, base64ToBytes(meta.salt), meta.iterations, meta.hash);
+        try {
+            const check = await decryptJSON(key, meta.verifier);
+            if (check !== CRYPTO_VERIFIER) throw new Error('verifier mismatch');
+        } catch {
+            throw new Error('PIN errato');
+        }
+        return key;
+    }
+
+    async unlock(pin) {
+        const meta = this.getMeta();
+        if (!meta) throw new Error('Cifratura non configurata');
+
+        const pending = this.getPendingMeta();
+        if (!pending) {
+            this.key = await this.deriveFromMeta(pin, meta);
+            console.log('[Crypto] Unlocked');
+            return;
+        }
+
+        // Cambio PIN interrotto: vale la chiave con cui è cifrato il DB, l'altra viene scartata
+        const committed = await this.isPendingCommitted(pending);
+        const [valid, stale] = committed ? [pending, meta] : [meta, pending];
+        try {
+            this.key = await this.deriveFromMeta(pin, valid);
+        } catch (error) {
+            await this.deriveFromMeta(pin, stale).catch(() => { throw error; });
+            throw new Error(committed
+                ? 'Il cambio PIN era stato completato: usa il nuovo PIN'
+                : 'Il cambio PIN non era stato completato: usa il PIN precedente');
+        }
+
+        if (committed) localStorage.setItem(CRYPTO_META_KEY, JSON.stringify(pending));
+        localStorage.removeItem(CRYPTO_PENDING_META_KEY);
+        console.log(`[Crypto] Unlocked, interrupted PIN change ${committed ? 'completed' : 'discarded'}`);
+    }
+
+    // Il marker nel DB è scritto nella stessa transazione della ri-cifratura
+    async isPendingCommitted(pending) {
+        if (typeof dbManager === 'undefined' || !dbManager.isReady) return false;
+        return await dbManager.getSetting(CIPHER_KEY_SETTING) === pending.salt;
+    }
+
+    lock() {
+        this.key = null;
+        console.log('[Crypto] Locked');
+    }
+
+    async encrypt(value) {
+        if (!this.key) throw new Error('Dati bloccati: sblocca con il PIN');
+        return encryptJSON(this.key, value);
+    }
+
+    async decrypt(payload) {
+        if (!this.key) throw new Error('Dati bloccati: sblocca con il PIN');
+        return decryptJSON(this.key, payload);
+    }
+
+    // Cambio PIN: nuova chiave e ri-cifratura di localStorage e IndexedDB
+    async changePin(oldPin, newPin) {
+        const meta = this.getMeta();
+        if (!meta) throw new Error('Cifratura non configurata');
+
+        await this.deriveFromMeta(oldPin, meta);
+        const next = await this.createKey(newPin);
+        const nextCipher = {
+            encrypt: value => encryptJSON(next.key, value),
+            decrypt: payload => decryptJSON(next.key, payload)
+        };
+
+        // Il meta nuovo è salvato prima di riscrivere: un'interruzione non lascia dati senza chiave.
+        // Il DB viene riscritto in un'unica transazione, poi localStorage e meta in blocco sincrono
+        localStorage.setItem(CRYPTO_PENDING_META_KEY, JSON.stringify(next.meta));
+        try {
+            const writeStorage = await storage.reencrypt(nextCipher);
+            if (typeof dbManager !== 'undefined' && dbManager.isReady) {
+                await dbManager.reencryptAll(nextCipher, next.meta.salt);
+            }
+            writeStorage();
+        } catch (error) {
+            // Transazione annullata: i dati sono ancora con la chiave precedente
+            localStorage.removeItem(CRYPTO_PENDING_META_KEY);
+            throw error;
+        }
+        localStorage.setItem(CRYPTO_META_KEY, JSON.stringify(next.meta));
+        localStorage.removeItem(CRYPTO_PENDING_META_KEY);
+
+        this.key = next.key;
+        if (typeof dbManager !== 'undefined') dbManager.setCipher(this);
+        storage.cipher = this;
+
+        console.log('[Crypto] PIN changed, data re-encrypted');
+    }
+}
+
+// Singleton
+const cryptoManager = new CryptoManager();
+
+// Cifratura end-to-end dei dati inviati al cloud.
+// Envelope versionato: { _envelope, v, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, compression?, data }
+// Il JSON viene compresso prima di cifrare (i dati cifrati non sono comprimibili): v2 = campo compression presente.
+const CLOUD_ENVELOPE_FORMAT = 'futura-e2e';
+const CLOUD_ENVELOPE_VERSION = 2;
+const CLOUD_COMPRESSION = 'gzip';
+const SYNC_PASSPHRASE_KEY = 'futura_sync_passphrase';
+
+function isCloudEnvelope(data) {
+    return !!(data && data._envelope === CLOUD_ENVELOPE_FORMAT);
+}
+
+class CloudCipher {
+    constructor() {
+        this.passphrase = null;
+        // Passphrase precedente, tenuta solo durante una rotazione per leggere la copia remota
+        this.previousPassphrase = null;
+        this.kdf = null;
+        this.key = null;
+    }
+
+    hasPassphrase() {
+        return !!this.passphrase;
+    }
+
+    setPassphrase(passphrase) {
+        this.passphrase = passphrase;
+        this.previousPassphrase = null;
+        this.kdf = null;
+        this.key = null;
+    }
+
+    // Nuova passphrase e nuovo salt: il prossimo upload ri-cifra tutto
+    rotate(newPassphrase) {
+        this.previousPassphrase = this.passphrase;
+        this.passphrase = newPassphrase;
+        this.kdf = null;
+        this.key = null;
+    }
+
+    finishRotation() {
+        this.previousPassphrase = null;
+    }
+
+    async currentKey() {
+        if (!this.key) {
+            this.kdf = {
+                name: 'PBKDF2',
+                hash: CRYPTO_DEFAULTS.hash,
+                iterations: CRYPTO_DEFAULTS.iterations,
+                salt: bytesToBase64(randomBytes(CRYPTO_DEFAULTS.saltBytes))
+            };
+            this.key = await this.deriveKey(this.passphrase, this.kdf);
+        }
+        return this.key;
+    }
+
+    deriveKey(passphrase, kdf) {
+        if (kdf.name !== 'PBKDF2') throw new Error(`KDF non supportata: ${kdf.name}`);
+        return deriveAesKey(passphrase, base64ToBytes(kdf.salt), kdf.iterations, kdf.hash);
+    }
+
+    async seal(data) {
+        if (!this.passphrase) throw new Error('Passphrase di sincronizzazione non impostata');
+        const key = await this.currentKey();
+        const { format, bytes } = await compressString(JSON.stringify(data), CLOUD_COMPRESSION);
+        const sealed = await encryptBytes(key, bytes);
+
+        // Senza compressione resta un envelope v1, leggibile anche dai client precedenti
+        const envelope = {
+            _envelope: CLOUD_ENVELOPE_FORMAT,
+            v: format ? CLOUD_ENVELOPE_VERSION : 1,
+            kdf: { ...this.kdf },
+            cipher: { name: 'AES-GCM', iv: sealed.iv },
+            data: sealed.data
+        };
+        if (format) envelope.compression = format;
+        return envelope;
+    }
+
+    async open(envelope) {
+        if (envelope.v > CLOUD_ENVELOPE_VERSION) {
+            throw new Error('Dati cloud cifrati con una versione più recente dell\'app');
+        }
+        if (!this.passphrase) {
+            const error = new Error('Inserisci la passphrase di sincronizzazione');
+            error.needsPassphrase = true;
+            throw error;
+        }
+
+        const candidates = [this.passphrase, this.previousPassphrase].filter(Boolean);
+        for (const passphrase of candidates) {
+            const sameKdf = passphrase === this.passphrase && this.key &&
+                JSON.stringify(this.kdf) === JSON.stringify(envelope.kdf);
+            const key = sameKdf ? this.key : await this.deriveKey(passphrase, envelope.kdf);
+
+            let bytes;
+            try {
+                bytes = await decryptBytes(key, { iv: envelope.cipher.iv, data: envelope.data });
+            } catch {
+                continue; // prova la candidata successiva
+            }
+
+            // Con la passphrase corrente si riusa salt e chiave del cloud: niente PBKDF2 a ogni upload
+            if (passphrase === this.passphrase && !this.previousPassphrase) {
+                this.kdf = { ...envelope.kdf };
+                this.key = key;
+            }
+            // Passphrase giusta: un errore di decompressione qui non va scambiato per passphrase errata
+            return JSON.parse(await decompressString(bytes, envelope.compression || null));
+        }
+
+        const error = new Error('Passphrase di sincronizzazione errata');
+        error.needsPassphrase = true;
+        throw error;
+    }
+}
+
+// Sblocca storage e database; alla prima attivazione cifra i dati esistenti
+async function unlockDataAtRest(pin) {
+    const firstRun = !cryptoManager.isConfigured();
+
+    if (firstRun) {
+        await cryptoManager.setup(pin);
+    } else {
+        await cryptoManager.unlock(pin);
+    }
+
+    await storage.unlock(cryptoManager);
+
+    if (typeof dbManager !== 'undefined' && dbManager.isReady) {
+        if (firstRun) {
+            await dbManager.reencryptAll(cryptoManager, cryptoManager.getMeta().salt);
+        } else {
+            dbManager.setCipher(cryptoManager);
+            await dbManager.runPendingMigrations();
+        }
+    }
+}
+
+function lockDataAtRest() {
+    cryptoManager.lock();
+    storage.lock();
+    if (typeof dbManager !== 'undefined') dbManager.setCipher(null);
+}
@@ -0,0 +1,212 @@
+// Migrazioni schema IndexedDB per FUTURA SYNC
+// Registro ordinato per versione: ogni step può creare store, cambiare indici e trasformare record
+
+// Setting (in chiaro) con le trasformazioni rimandate allo sblocco: [{ version, store }]
+const PENDING_MIGRATIONS_KEY = 'pendingMigrations';
+
+// Itera tutti i record di uno store dentro la transazione di upgrade.
+// transform(record) ritorna: undefined = invariato, oggetto = aggiorna, null = elimina.
+// I record cifrati a riposo non sono leggibili durante l'upgrade: vengono saltati e contati
+// in skipped, la trasformazione viene ripetuta su di loro dopo lo sblocco (runPendingMigrations in db.js)
+function forEachRecord(store, transform) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        let changed = 0;
+        let skipped = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ changed, skipped });
+                return;
+            }
+
+            if (isSealed(cursor.value)) {
+                skipped++;
+                cursor.continue();
+                return;
+            }
+
+            const result = transform(cursor.value);
+            if (result === null) {
+                cursor.delete();
+                changed++;
+            } else if (result !== undefined) {
+                cursor.update(result);
+                changed++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Crea (o ricrea se le opzioni sono cambiate) un indice
+function ensureIndex(store, name, keyPath, options = {}) {
+    if (store.indexNames.contains(name)) {
+        const index = store.index(name);
+        const sameKeyPath = JSON.stringify(index.keyPath) === JSON.stringify(keyPath);
+        if (sameKeyPath && index.unique === !!options.unique) {
+            return index;
+        }
+        store.deleteIndex(name);
+    }
+    return store.createIndex(name, keyPath, options);
+}
+
+function ensureStore(db, transaction, name, options) {
+    if (db.objectStoreNames.contains(name)) {
+        return transaction.objectStore(name);
+    }
+    return db.createObjectStore(name, options);
+}
+
+// transforms: { store: transform } per i record, idempotenti perché possono girare due volte
+// (nell'upgrade sui record in chiaro, dopo lo sblocco su tutti)
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Schema iniziale',
+        migrate({ db, transaction }) {
+            const transactionStore = ensureStore(db, transaction, 'transactions', { keyPath: 'id', autoIncrement: true });
+            ensureIndex(transactionStore, 'date', 'date');
+            ensureIndex(transactionStore, 'type', 'type');
+            ensureIndex(transactionStore, 'category', 'category');
+            ensureIndex(transactionStore, 'timestamp', 'timestamp');
+
+            const loanStore = ensureStore(db, transaction, 'loans', { keyPath: 'id' });
+            ensureIndex(loanStore, 'debtor', 'debtor');
+            ensureIndex(loanStore, 'date', 'date');
+            ensureIndex(loanStore, 'status', 'status');
+
+            const incomeStore = ensureStore(db, transaction, 'incomes', { keyPath: 'id', autoIncrement: true });
+            ensureIndex(incomeStore, 'received', 'received');
+
+            const recurringStore = ensureStore(db, transaction, 'recurring', { keyPath: 'id', autoIncrement: true });
+            ensureIndex(recurringStore, 'active', 'active');
+            ensureIndex(recurringStore, 'nextDate', 'nextDate');
+
+            const budgetStore = ensureStore(db, transaction, 'budgets', { keyPath: 'id', autoIncrement: true });
+            ensureIndex(budgetStore, 'category', 'category', { unique: true });
+            ensureIndex(budgetStore, 'month', 'month');
+
+            ensureStore(db, transaction, 'settings', { keyPath: 'key' });
+
+            const syncStore = ensureStore(db, transaction, 'syncQueue', { keyPath: 'id', autoIncrement: true });
+            ensureIndex(syncStore, 'timestamp', 'timestamp');
+            ensureIndex(syncStore, 'synced', 'synced');
+        }
+    },
+    {
+        version: 2,
+        description: 'Store goals, installments e balanceHistory per lo stato local-first',
+        migrate({ db, transaction }) {
+            const goalStore = ensureStore(db, transaction, 'goals', { keyPath: 'id' });
+            ensureIndex(goalStore, 'completed', 'completed');
+
+            ensureStore(db, transaction, 'installments', { keyPath: 'id' });
+            ensureStore(db, transaction, 'balanceHistory', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 3,
+        description: 'Budget mensili: indice category non univoco, indice category+month, backfill campi',
+        migrate({ transaction }) {
+            const budgetStore = transaction.objectStore('budgets');
+            ensureIndex(budgetStore, 'category', 'category', { unique: false });
+            ensureIndex(budgetStore, 'categoryMonth', ['category', 'month']);
+        },
+        transforms: {
+            budgets: budget => {
+                if (budget.spent !== undefined && budget.createdAt) return undefined;
+                return {
+                    ...budget,
+                    spent: budget.spent || 0,
+                    createdAt: budget.createdAt || new Date().toISOString()
+                };
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'syncQueue come log di operazioni per record (synced numerico)',
+        migrate({ transaction, log }) {
+            // Le vecchie voci erano snapshot completi con synced booleano, non indicizzabile:
+            // lo stato è già negli store e verrà reinviato come snapshot alla prima sync
+            const syncStore = transaction.objectStore('syncQueue');
+            syncStore.clear();
+            ensureIndex(syncStore, 'synced', 'synced');
+            log('coda di sync svuotata');
+        }
+    },
+    {
+        version: 5,
+        description: 'Store conflicts per i conflitti di sync da risolvere a mano',
+        migrate({ db, transaction }) {
+            const conflictStore = ensureStore(db, transaction, 'conflicts', { keyPath: 'key' });
+            ensureIndex(conflictStore, 'detectedAt', 'detectedAt');
+        }
+    }
+];
+
+// Esegue in ordine le migrazioni comprese tra oldVersion (esclusa) e newVersion (inclusa).
+// Tutto avviene nella transazione versionchange: un errore annulla l'intero upgrade.
+async function runMigrations(db, transaction, oldVersion, newVersion) {
+    const pending = DB_MIGRATIONS
+        .filter(m => m.version > oldVersion && m.version <= newVersion)
+        .sort((a, b) => a.version - b.version);
+    const entries = [];
+    const deferred = [];
+
+    for (const migration of pending) {
+        const startedAt = Date.now();
+        const messages = [];
+        const log = (message) => {
+            messages.push(message);
+            console.log(`[DB] Migration v${migration.version}: ${message}`);
+        };
+
+        log(migration.description);
+        try {
+            await migration.migrate({ db, transaction, log });
+
+            for (const [storeName, transform] of Object.entries(migration.transforms || {})) {
+                const { changed, skipped } = await forEachRecord(transaction.objectStore(storeName), transform);
+                log(`${storeName}: ${changed} record aggiornati`);
+                if (skipped > 0) {
+                    log(`${storeName}: ${skipped} record cifrati, aggiornati dopo lo sblocco`);
+                    deferred.push({ version: migration.version, store: storeName });
+                }
+            }
+        } catch (error) {
+            console.error(`[DB] Migration v${migration.version} failed:`, error);
+            transaction.abort();
+            throw error;
+        }
+
+        entries.push({
+            version: migration.version,
+            description: migration.description,
+            messages,
+            durationMs: Date.now() - startedAt,
+            appliedAt: new Date().toISOString()
+        });
+    }
+
+    // Storico migrazioni applicate e trasformazioni rimandate, salvati nella stessa transazione
+    const settings = transaction.objectStore('settings');
+    const request = settings.get('migrationLog');
+    request.onsuccess = () => {
+        const previous = request.result ? request.result.value : [];
+        settings.put({ key: 'migrationLog', value: [...previous, ...entries] });
+    };
+    if (deferred.length > 0) {
+        const pendingRequest = settings.get(PENDING_MIGRATIONS_KEY);
+        pendingRequest.onsuccess = () => {
+            const previous = pendingRequest.result ? pendingRequest.result.value : [];
+            settings.put({ key: PENDING_MIGRATIONS_KEY, value: [...previous, ...deferred] });
+        };
+    }
+
+    return entries;
+}
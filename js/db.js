@@ -2,21 +2,181 @@
 // Gestione persistenza locale con IndexedDB
 
 const DB_NAME = 'FuturaSyncDB';
-const DB_VERSION = 1;
+// Versione = ultima migrazione registrata in db-migrations.js
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+// Mappa stato app (index.html) -> object store
+const APP_STATE_STORES = {
+    manualTransactions: 'transactions',
+    activeLoans: 'loans',
+    futureIncomes: 'incomes',
+    savingsGoals: 'goals',
+    installments: 'installments',
+    balanceHistory: 'balanceHistory'
+};
+
+// Store inclusi nel backup e campi obbligatori (con tipo) per la validazione
+const BACKUP_SCHEMA = {
+    transactions: { fields: { amount: 'number', type: 'string' } },
+    loans: { fields: { originalAmount: 'number', repaidAmount: 'number' } },
+    incomes: { fields: { amount: 'number', received: 'boolean' } },
+    recurring: { fields: { amount: 'number', frequency: 'string' } },
+    budgets: { fields: { category: 'string', amount: 'number' } },
+    goals: { fields: { name: 'string', targetAmount: 'number' } },
+    installments: { fields: { name: 'string', numRates: 'number', rateAmount: 'number' } },
+    balanceHistory: { fields: { amount: 'number', type: 'string' } },
+    settings: { fields: {} }
+};
+
+// Settings che fanno parte del backup: solo lo stato dell'app. Cursore di sync, diagnostica,
+// storico migrazioni e marker di cifratura descrivono questo dispositivo: né esportati né sovrascritti
+const BACKUP_SETTINGS = ['appState'];
+
+// Ultimo seq remoto applicato in locale ({ identity, seq }), gestito da SyncManager
+const SYNC_CURSOR_KEY = 'syncCursor';
+
+// Campi lasciati in chiaro accanto al payload cifrato, perché servono agli indici usati nelle query
+const PLAINTEXT_INDEX_FIELDS = {
+    syncQueue: ['timestamp', 'synced'],
+    conflicts: ['detectedAt']
+};
+
+// Salt della chiave con cui è cifrato il DB: dice a unlock se un cambio PIN è arrivato al commit
+const CIPHER_KEY_SETTING = 'cipherKeyId';
+
+// Settings non sensibili che le migrazioni devono poter leggere prima dello sblocco
+const PLAINTEXT_SETTINGS = ['migrationLog', PENDING_MIGRATIONS_KEY, CIPHER_KEY_SETTING];
 
 class DatabaseManager {
     constructor() {
         this.db = null;
         this.isReady = false;
+        this.cipher = null;
     }
 
-    // Inizializza database
+    // Cifratura a riposo: con un cipher attivo i record sono salvati come { key, __enc }
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    async seal(storeName, record, cipher = this.cipher) {
+        if (!record) return record;
+        if (storeName === 'settings' && PLAINTEXT_SETTINGS.includes(record.key)) return record;
+        if (!cipher) {
+            // Cifratura attiva ma chiave assente (app bloccata): mai scrivere in chiaro
+            if (typeof cryptoManager !== 'undefined' && cryptoManager.isConfigured()) {
+                throw new Error('Dati bloccati: sblocca con il PIN');
+            }
+            return record;
+        }
+
+        const { keyPath } = this.getStoreKeyInfo(storeName);
+        const sealed = { __enc: await cipher.encrypt(record) };
+        if (record[keyPath] !== undefined) {
+            sealed[keyPath] = record[keyPath];
+        }
+        (PLAINTEXT_INDEX_FIELDS[storeName] || []).forEach(field => {
+            if (record[field] !== undefined) sealed[field] = record[field];
+        });
+        return sealed;
+    }
+
+    async sealAll(storeName, records, cipher = this.cipher) {
+        const sealed = [];
+        for (const record of records) {
+            sealed.push(await this.seal(storeName, record, cipher));
+        }
+        return sealed;
+    }
+
+    // I record in chiaro (dati precedenti alla cifratura) restano leggibili
+    async open(storeName, stored) {
+        if (!isSealed(stored)) return stored;
+        if (!this.cipher) throw new Error('Database bloccato: sblocca con il PIN');
+
+        const { keyPath } = this.getStoreKeyInfo(storeName);
+        const record = await this.cipher.decrypt(stored.__enc);
+        return { ...record, [keyPath]: stored[keyPath] };
+    }
+
+    async openAll(storeName, stored) {
+        const records = [];
+        for (const item of stored) {
+            records.push(await this.open(storeName, item));
+        }
+        return records;
+    }
+
+    // Riscrive tutti gli store con un nuovo cipher in un'unica transazione.
+    // keyId (se passato) viene salvato nella stessa transazione come marker della chiave in uso
+    async reencryptAll(nextCipher, keyId = null) {
+        const storeNames = [...this.db.objectStoreNames];
+        const sealedByStore = {};
+
+        for (const storeName of storeNames) {
+            const records = await this.getAll(storeName);
+            sealedByStore[storeName] = await this.sealAll(storeName, records, nextCipher);
+        }
+        if (keyId) {
+            sealedByStore.settings = [
+                ...sealedByStore.settings.filter(item => item.key !== CIPHER_KEY_SETTING),
+                { key: CIPHER_KEY_SETTING, value: keyId }
+            ];
+        }
+
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            for (const storeName of storeNames) {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                sealedByStore[storeName].forEach(item => store.put(item));
+            }
+        });
+
+        this.cipher = nextCipher;
+        console.log('[DB] Data re-encrypted');
+    }
+
+    // Trasformazioni delle migrazioni saltate nell'upgrade perché i record erano cifrati:
+    // girano dopo lo sblocco, con il cipher attivo
+    async runPendingMigrations() {
+        const pending = await this.getSetting(PENDING_MIGRATIONS_KEY, []);
+        if (pending.length === 0) return 0;
+
+        let total = 0;
+        for (const { version, store } of pending) {
+            const transform = DB_MIGRATIONS.find(m => m.version === version).transforms[store];
+            const records = [];
+            let changed = 0;
+            (await this.getAll(store)).forEach(record => {
+                const result = transform(record);
+                if (result !== undefined) changed++;
+                if (result !== null) records.push(result === undefined ? record : result);
+            });
+            if (changed > 0) await this.replaceAll(store, records);
+            console.log(`[DB] Deferred migration v${version}: ${changed} ${store} records updated`);
+            total += changed;
+        }
+
+        await this.setSetting(PENDING_MIGRATIONS_KEY, []);
+        return total;
+    }
+
+    // Inizializza database (idempotente: più chiamanti condividono la stessa apertura)
     async init() {
-        return new Promise((resolve, reject) => {
+        if (this.db) return this.db;
+        if (this.initPromise) return this.initPromise;
+
+        this.initPromise = new Promise((resolve, reject) => {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
 
             request.onerror = () => {
                 console.error('[DB] Error opening database:', request.error);
+                this.initPromise = null;
                 reject(request.error);
             };
 
@@ -28,85 +188,24 @@ class DatabaseManager {
             };
 
             request.onupgradeneeded = (event) => {
-                console.log('[DB] Upgrading database...');
-                const db = event.target.result;
-
-                // Object Store per transazioni
-                if (!db.objectStoreNames.contains('transactions')) {
-                    const transactionStore = db.createObjectStore('transactions', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    transactionStore.createIndex('date', 'date', { unique: false });
-                    transactionStore.createIndex('type', 'type', { unique: false });
-                    transactionStore.createIndex('category', 'category', { unique: false });
-                    transactionStore.createIndex('timestamp', 'timestamp', { unique: false });
-                }
-
-                // Object Store per prestiti
-                if (!db.objectStoreNames.contains('loans')) {
-                    const loanStore = db.createObjectStore('loans', { keyPath: 'id' });
-                    loanStore.createIndex('debtor', 'debtor', { unique: false });
-                    loanStore.createIndex('date', 'date', { unique: false });
-                    loanStore.createIndex('status', 'status', { unique: false });
-                }
-
-                // Object Store per income futuri
-                if (!db.objectStoreNames.contains('incomes')) {
-                    const incomeStore = db.createObjectStore('incomes', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    incomeStore.createIndex('received', 'received', { unique: false });
-                }
-
-                // Object Store per ricorrenze
-                if (!db.objectStoreNames.contains('recurring')) {
-                    const recurringStore = db.createObjectStore('recurring', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    recurringStore.createIndex('active', 'active', { unique: false });
-                    recurringStore.createIndex('nextDate', 'nextDate', { unique: false });
-                }
-
-                // Object Store per budget
-                if (!db.objectStoreNames.contains('budgets')) {
-                    const budgetStore = db.createObjectStore('budgets', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    budgetStore.createIndex('category', 'category', { unique: true });
-                    budgetStore.createIndex('month', 'month', { unique: false });
-                }
-
-                // Object Store per settings
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
-
-                // Object Store per sync queue (operazioni offline)
-                if (!db.objectStoreNames.contains('syncQueue')) {
-                    const syncStore = db.createObjectStore('syncQueue', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    syncStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    syncStore.createIndex('synced', 'synced', { unique: false });
-                }
-
-                console.log('[DB] Database upgraded successfully');
+                console.log(`[DB] Upgrading database v${event.oldVersion} -> v${event.newVersion}...`);
+                runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion)
+                    .then(() => console.log('[DB] Database upgraded successfully'))
+                    .catch(error => console.error('[DB] Upgrade aborted:', error));
             };
         });
+
+        return this.initPromise;
     }
 
     // Generic CRUD operations
     async add(storeName, data) {
+        const record = await this.seal(storeName, data);
         const transaction = this.db.transaction([storeName], 'readwrite');
         const store = transaction.objectStore(storeName);
 
         return new Promise((resolve, reject) => {
-            const request = store.add(data);
+            const request = store.add(record);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
@@ -116,30 +215,33 @@ class DatabaseManager {
         const transaction = this.db.transaction([storeName], 'readonly');
         const store = transaction.objectStore(storeName);
 
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = store.get(key);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.open(storeName, result);
     }
 
     async getAll(storeName) {
         const transaction = this.db.transaction([storeName], 'readonly');
         const store = transaction.objectStore(storeName);
 
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = store.getAll();
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.openAll(storeName, result);
     }
 
     async update(storeName, data) {
+        const record = await this.seal(storeName, data);
         const transaction = this.db.transaction([storeName], 'readwrite');
         const store = transaction.objectStore(storeName);
 
         return new Promise((resolve, reject) => {
-            const request = store.put(data);
+            const request = store.put(record);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
@@ -167,26 +269,41 @@ class DatabaseManager {
         });
     }
 
+    // Sostituisce il contenuto di uno store in una singola transazione
+    async replaceAll(storeName, items) {
+        const records = await this.sealAll(storeName, items);
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+
+        return new Promise((resolve, reject) => {
+            store.clear();
+            records.forEach(item => store.put(item));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
     // Query con indici
     async getByIndex(storeName, indexName, value) {
         const transaction = this.db.transaction([storeName], 'readonly');
         const store = transaction.objectStore(storeName);
         const index = store.index(indexName);
 
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = index.getAll(value);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.openAll(storeName, result);
     }
 
     // Backup completo del database
     async exportData() {
         const data = {};
-        const storeNames = ['transactions', 'loans', 'incomes', 'recurring', 'budgets', 'settings'];
 
-        for (const storeName of storeNames) {
-            data[storeName] = await this.getAll(storeName);
+        for (const storeName of Object.keys(BACKUP_SCHEMA)) {
+            data[storeName] = this.backupRecords(storeName, await this.getAll(storeName));
         }
 
         return {
@@ -196,21 +313,188 @@ class DatabaseManager {
         };
     }
 
-    // Restore da backup
-    async importData(backup) {
-        if (!backup.data) {
-            throw new Error('Invalid backup format');
+    // Valida l'intero backup prima di toccare il database
+    validateBackup(backup) {
+        const errors = [];
+        const addError = (message) => {
+            if (errors.length < 50) errors.push(message);
+        };
+
+        if (!backup || typeof backup !== 'object' || !backup.data || typeof backup.data !== 'object') {
+            return { valid: false, errors: ['Formato backup non valido: manca "data"'] };
+        }
+        if (typeof backup.version !== 'number' || backup.version > DB_VERSION) {
+            addError(`Versione backup non supportata: ${backup.version} (massima ${DB_VERSION})`);
+        }
+
+        for (const [storeName, items] of Object.entries(backup.data)) {
+            const schema = BACKUP_SCHEMA[storeName];
+            if (!schema) {
+                addError(`Store sconosciuto: ${storeName}`);
+                continue;
+            }
+            if (!Array.isArray(items)) {
+                addError(`${storeName}: atteso un array`);
+                continue;
+            }
+
+            const { keyPath, autoIncrement } = this.getStoreKeyInfo(storeName);
+            const seenKeys = new Set();
+
+            items.forEach((item, i) => {
+                const where = `${storeName}[${i}]`;
+                if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                    addError(`${where}: record non valido`);
+                    return;
+                }
+
+                const key = item[keyPath];
+                if (key === undefined || key === null) {
+                    if (!autoIncrement) addError(`${where}: manca la chiave "${keyPath}"`);
+                } else if (typeof key !== 'string' && typeof key !== 'number') {
+                    addError(`${where}: chiave "${keyPath}" non valida`);
+                } else if (seenKeys.has(key)) {
+                    addError(`${where}: chiave duplicata ${key}`);
+                } else {
+                    seenKeys.add(key);
+                }
+
+                for (const [field, type] of Object.entries(schema.fields)) {
+                    const value = item[field];
+                    const ok = type === 'number'
+                        ? typeof value === 'number' && isFinite(value)
+                        : typeof value === type;
+                    if (!ok) addError(`${where}: campo "${field}" deve essere ${type}`);
+                }
+            });
         }
 
-        for (const storeName in backup.data) {
-            await this.clear(storeName);
+        return { valid: errors.length === 0, errors };
+    }
+
+    // Record di uno store che il backup può contenere (i backup precedenti includono tutti i settings)
+    backupRecords(storeName, items) {
+        return storeName === 'settings' ? items.filter(item => BACKUP_SETTINGS.includes(item.key)) : items;
+    }
+
+    getStoreKeyInfo(storeName) {
+        const store = this.db.transaction([storeName], 'readonly').objectStore(storeName);
+        return { keyPath: store.keyPath, autoIncrement: store.autoIncrement };
+    }
 
-            for (const item of backup.data[storeName]) {
-                await this.add(storeName, item);
+    // Per ogni store: record aggiunti, sostituiti o eliminati applicando il backup
+    async diffBackup(backup) {
+        const report = {};
+
+        for (const [storeName, items] of Object.entries(backup.data)) {
+            const { keyPath } = this.getStoreKeyInfo(storeName);
+            const stored = this.backupRecords(storeName, await this.getAll(storeName));
+            const existing = new Map(stored.map(item => [item[keyPath], item]));
+            const incomingKeys = new Set();
+            const entry = { added: [], replaced: [], unchanged: 0, dropped: [] };
+
+            for (const item of this.backupRecords(storeName, items)) {
+                const key = item[keyPath];
+                if (key === undefined || key === null || !existing.has(key)) {
+                    entry.added.push(key === undefined ? null : key);
+                } else if (JSON.stringify(existing.get(key)) === JSON.stringify(item)) {
+                    entry.unchanged++;
+                } else {
+                    entry.replaced.push(key);
+                }
+                incomingKeys.add(key);
             }
+
+            existing.forEach((item, key) => {
+                if (!incomingKeys.has(key)) entry.dropped.push(key);
+            });
+
+            report[storeName] = entry;
+        }
+
+        return report;
+    }
+
+    // Restore da backup: validazione completa, poi un'unica transazione multi-store.
+    // Con dryRun ritorna solo il report senza scrivere nulla.
+    async importData(backup, { dryRun = false } = {}) {
+        const validation = this.validateBackup(backup);
+        if (!validation.valid) {
+            const error = new Error(`Backup non valido: ${validation.errors[0]}`);
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        const report = await this.diffBackup(backup);
+        if (dryRun) {
+            return report;
         }
 
+        const storeNames = Object.keys(backup.data);
+        const sealedByStore = {};
+        for (const storeName of storeNames) {
+            sealedByStore[storeName] = await this.sealAll(storeName, this.backupRecords(storeName, backup.data[storeName]));
+        }
+
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Restore annullato'));
+
+            try {
+                for (const storeName of storeNames) {
+                    const store = transaction.objectStore(storeName);
+                    if (storeName === 'settings') {
+                        BACKUP_SETTINGS.forEach(key => store.delete(key));
+                    } else {
+                        store.clear();
+                    }
+                    sealedByStore[storeName].forEach(item => store.put(item));
+                }
+            } catch (error) {
+                // Errori sincroni (es. DataCloneError): annulla tutto
+                transaction.abort();
+                reject(error);
+            }
+        });
+
         console.log('[DB] Data imported successfully');
+        return report;
+    }
+
+    // Converte l'export JSON dell'app (formato precedente) in un backup del database
+    backupFromAppExport(json) {
+        const data = {};
+        for (const [key, storeName] of Object.entries(APP_STATE_STORES)) {
+            data[storeName] = (json[key] || []).map(item =>
+                item.id === undefined ? { ...item, id: generateId() } : item
+            );
+        }
+
+        const order = {};
+        for (const [key, storeName] of Object.entries(APP_STATE_STORES)) {
+            order[key] = data[storeName].map(item => item.id);
+        }
+
+        data.settings = [{
+            key: 'appState',
+            value: {
+                currentBalance: json.currentBalance,
+                papaLoanData: json.papaLoanData,
+                lastSavedTime: json.lastSavedTime,
+                updatedAt: json.exportDate || json.updatedAt,
+                order
+            }
+        }];
+
+        return { version: DB_VERSION, timestamp: json.exportDate, data };
+    }
+
+    // Storico migrazioni applicate su questo dispositivo
+    async getMigrationLog() {
+        return this.getSetting('migrationLog', []);
     }
 
     // Settings helpers
@@ -223,36 +507,159 @@ class DatabaseManager {
         return this.update('settings', { key, value });
     }
 
+    // Stato app (local-first): ogni collezione nel suo store, scalari e ordine in settings
+    async saveAppState(state) {
+        const snapshot = deepClone(state);
+        const storeNames = [...Object.values(APP_STATE_STORES), 'settings'];
+        const sealedByStore = {};
+        const order = {};
+
+        for (const [key, storeName] of Object.entries(APP_STATE_STORES)) {
+            const items = snapshot[key] || [];
+            sealedByStore[storeName] = await this.sealAll(storeName, items);
+            order[key] = items.map(item => item.id);
+        }
+
+        const meta = await this.seal('settings', {
+            key: 'appState',
+            value: {
+                currentBalance: snapshot.currentBalance,
+                papaLoanData: snapshot.papaLoanData,
+                lastSavedTime: snapshot.lastSavedTime,
+                updatedAt: snapshot.updatedAt,
+                tombstones: snapshot._tombstones || {},
+                sync: snapshot._sync || null,
+                devices: snapshot.devices || [],
+                order
+            }
+        });
+
+        // Transazione aperta solo dopo la cifratura: non deve restare inattiva tra un await e l'altro
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        for (const storeName of Object.values(APP_STATE_STORES)) {
+            const store = transaction.objectStore(storeName);
+            store.clear();
+            sealedByStore[storeName].forEach(item => store.put(item));
+        }
+        transaction.objectStore('settings').put(meta);
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Ritorna null se sul dispositivo non è mai stato salvato nulla
+    async loadAppState() {
+        const meta = await this.getSetting('appState');
+        if (!meta) return null;
+
+        const state = {
+            currentBalance: meta.currentBalance,
+            papaLoanData: meta.papaLoanData,
+            lastSavedTime: meta.lastSavedTime,
+            updatedAt: meta.updatedAt,
+            _tombstones: meta.tombstones || {},
+            _sync: meta.sync || null,
+            devices: meta.devices || []
+        };
+
+        for (const [key, storeName] of Object.entries(APP_STATE_STORES)) {
+            const items = await this.getAll(storeName);
+            const order = (meta.order && meta.order[key]) || [];
+            const position = new Map(order.map((id, i) => [id, i]));
+            const rank = item => position.has(item.id) ? position.get(item.id) : order.length;
+            state[key] = items.sort((a, b) => rank(a) - rank(b));
+        }
+
+        return state;
+    }
+
     // Sync queue helpers
+    // Ogni voce è un'operazione su un record: { collection, record, deviceId, timestamp, synced: 0|1 }.
+    // synced è numerico perché i booleani non sono chiavi valide per un indice IndexedDB.
     async addToSyncQueue(operation) {
         return this.add('syncQueue', {
             ...operation,
             timestamp: Date.now(),
-            synced: false
+            synced: 0
+        });
+    }
+
+    // Accoda più operazioni in un'unica transazione, nell'ordine dato
+    async enqueueOperations(operations) {
+        if (operations.length === 0) return;
+        const timestamp = Date.now();
+        const sealed = await this.sealAll('syncQueue', deepClone(operations).map(op => ({ ...op, timestamp, synced: 0 })));
+
+        const transaction = this.db.transaction(['syncQueue'], 'readwrite');
+        const store = transaction.objectStore('syncQueue');
+        sealed.forEach(op => store.add(op));
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
     async getPendingSyncOperations() {
-        return this.getByIndex('syncQueue', 'synced', false);
+        const pending = await this.getByIndex('syncQueue', 'synced', 0);
+        return pending.sort((a, b) => a.id - b.id);
     }
 
     async markAsSynced(id) {
         const item = await this.get('syncQueue', id);
         if (item) {
-            item.synced = true;
+            item.synced = 1;
             item.syncedAt = Date.now();
             await this.update('syncQueue', item);
         }
     }
 
+    // Le operazioni confermate dal cloud non servono più: vengono rimosse in blocco
+    async removeSyncOperations(ids) {
+        if (ids.length === 0) return;
+        const transaction = this.db.transaction(['syncQueue'], 'readwrite');
+        const store = transaction.objectStore('syncQueue');
+        ids.forEach(id => store.delete(id));
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
     async clearSyncedOperations() {
-        const allOps = await this.getAll('syncQueue');
-        const syncedOps = allOps.filter(op => op.synced);
+        const syncedOps = await this.getByIndex('syncQueue', 'synced', 1);
+        await this.removeSyncOperations(syncedOps.map(op => op.id));
+    }
+
+    // Dopo un ripristino: operazioni in coda, cursore e conflitti si riferiscono allo stato sostituito.
+    // Senza cursore la sync successiva rilegge tutto il log e riscrive lo snapshot
+    async resetSyncState() {
+        await this.clear('syncQueue');
+        await this.clear('conflicts');
+        await this.delete('settings', SYNC_CURSOR_KEY);
+    }
 
-        for (const op of syncedOps) {
-            await this.delete('syncQueue', op.id);
+    // Conflitti di sync in attesa di risoluzione: { key, collection, id, local, remote, fields, detectedAt }
+    async saveConflicts(conflicts) {
+        for (const conflict of deepClone(conflicts)) {
+            await this.update('conflicts', conflict);
         }
     }
+
+    async getConflicts() {
+        const conflicts = await this.getAll('conflicts');
+        return conflicts.sort((a, b) => a.detectedAt - b.detectedAt);
+    }
+
+    async removeConflict(key) {
+        return this.delete('conflicts', key);
+    }
 }
 
 // Export singleton instance
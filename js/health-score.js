@@ -16,12 +16,13 @@ class HealthScoreCalculator {
 
     /**
      * Calcola il punteggio completo
+     * plan: piano zero-based del mese (BudgetManager.getAssignmentPlan), opzionale
      */
-    calculateScore(transactions, balance, budgets = [], loans = []) {
+    calculateScore(transactions, balance, budgets = [], loans = [], plan = null) {
         const metrics = {
             savingRate: this.calculateSavingRate(transactions),
             debtRatio: this.calculateDebtRatio(transactions, loans),
-            budgetAdherence: this.calculateBudgetAdherence(transactions, budgets),
+            budgetAdherence: this.calculateBudgetAdherence(transactions, budgets, plan),
             emergencyFund: this.calculateEmergencyFund(transactions, balance),
             consistency: this.calculateConsistency(transactions)
         };
@@ -105,38 +106,30 @@ class HealthScoreCalculator {
 
     /**
      * Calcola Budget Adherence (0-20 punti)
-     * Quanto bene si rispettano i budget impostati
+     * Quanto bene si rispettano i budget impostati; assegnare più del ricevuto costa un gradino
      */
-    calculateBudgetAdherence(transactions, budgets) {
-        if (!budgets || budgets.length === 0) {
+    calculateBudgetAdherence(transactions, budgets, plan = null) {
+        const now = new Date();
+        // Budget in corso, di qualunque periodo (settimana, mese, anno, intervallo)
+        const activeBudgets = (budgets || []).filter(budget => {
+            const { start, end } = budgetManager.getBudgetBounds(budget);
+            return isDateInRange(now, start, end);
+        });
+
+        if (activeBudgets.length === 0) {
             return { score: 10, value: 0, status: 'unknown', message: 'Nessun budget impostato' };
         }
 
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-
-        let totalBudget = 0;
-        let totalSpent = 0;
         let budgetsRespected = 0;
 
-        for (const budget of budgets) {
-            if (budget.month === currentMonth && budget.year === currentYear) {
-                const categoryTransactions = transactions.filter(t =>
-                    t.type === 'out' &&
-                    t.category === budget.category &&
-                    new Date(t.timestamp).getMonth() === currentMonth &&
-                    new Date(t.timestamp).getFullYear() === currentYear
-                );
-
-                const spent = categoryTransactions.reduce((sum, t) => sum + t.amount, 0);
-                totalBudget += budget.amount;
-                totalSpent += spent;
-
-                if (spent <= budget.amount) budgetsRespected++;
-            }
+        for (const budget of activeBudgets) {
+            // Stesso calcolo della schermata budget (sottocategorie, ripartizioni, timestamp || date)
+            const spent = budgetManager.calculateBudgetSpent(budget, transactions);
+            // Il limite è l'importo disponibile: assegnato più quanto riportato dal periodo precedente
+            if (spent <= budgetManager.getBudgetStatus(budget).funded) budgetsRespected++;
         }
 
-        const adherenceRate = budgets.length > 0 ? (budgetsRespected / budgets.length) * 100 : 0;
+        const adherenceRate = (budgetsRespected / activeBudgets.length) * 100;
 
         let score = 0;
         let status = 'bad';
@@ -146,13 +139,22 @@ class HealthScoreCalculator {
         else if (adherenceRate >= 30) { score = 8; status = 'poor'; }
         else { score = 4; status = 'bad'; }
 
+        const overAssigned = !!(plan && plan.overAssigned);
+        if (overAssigned) {
+            score = Math.max(score - 4, 0);
+            status = { excellent: 'good', good: 'fair', fair: 'poor' }[status] || 'bad';
+        }
+
         return {
             score,
             value: adherenceRate,
             budgetsRespected,
-            totalBudgets: budgets.length,
+            totalBudgets: activeBudgets.length,
+            toBeAssigned: plan ? plan.toBeAssigned : null,
+            overAssigned,
             status,
-            message: `Rispettati ${budgetsRespected} su ${budgets.length} budget (${adherenceRate.toFixed(0)}%)`
+            message: `Rispettati ${budgetsRespected} su ${activeBudgets.length} budget (${adherenceRate.toFixed(0)}%)` +
+                (overAssigned ? ` · assegnati €${(-plan.toBeAssigned).toFixed(2)} più del ricevuto` : '')
         };
     }
 
@@ -266,6 +268,15 @@ class HealthScoreCalculator {
             });
         }
 
+        if (metrics.budgetAdherence.overAssigned) {
+            recommendations.push({
+                priority: 'high',
+                category: 'Budget',
+                message: 'Hai assegnato alle buste più di quanto hai ricevuto questo mese',
+                action: 'Riduci o sposta le assegnazioni finché il fondo da assegnare torna a zero'
+            });
+        }
+
         if (metrics.emergencyFund.status === 'bad' || metrics.emergencyFund.status === 'poor') {
             recommendations.push({
                 priority: 'high',
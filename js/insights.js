@@ -11,7 +11,7 @@ class InsightsEngine {
     /**
      * Genera tutti gli insights per il periodo corrente
      */
-    generateInsights(transactions, balance, budgets = [], loans = []) {
+    generateInsights(transactions, balance, budgets = [], loans = [], plan = null) {
         const insights = [];
 
         // Spending trend insights
@@ -19,6 +19,7 @@ class InsightsEngine {
 
         // Budget insights
         insights.push(...this.analyzeBudgets(transactions, budgets));
+        insights.push(...this.analyzeBudgetPlan(plan));
 
         // Anomaly detection
         insights.push(...this.detectAnomalies(transactions));
@@ -91,20 +92,17 @@ class InsightsEngine {
         const insights = [];
         if (!budgets || budgets.length === 0) return insights;
 
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
+        const now = new Date();
 
         for (const budget of budgets) {
-            if (budget.month === currentMonth && budget.year === currentYear) {
-                const spent = transactions
-                    .filter(t =>
-                        t.type === 'out' &&
-                        t.category === budget.category &&
-                        new Date(t.timestamp).getMonth() === currentMonth
-                    )
-                    .reduce((sum, t) => sum + t.amount, 0);
+            // Budget in corso, di qualunque periodo: la spesa si conta come nella schermata budget
+            const { start, end } = budgetManager.getBudgetBounds(budget);
+            if (isDateInRange(now, start, end)) {
+                const spent = budgetManager.calculateBudgetSpent(budget, transactions);
 
-                const percentage = (spent / budget.amount) * 100;
+                // Rispetto al disponibile (assegnato più riporto), non al solo importo assegnato
+                const { funded } = budgetManager.getBudgetStatus(budget);
+                const percentage = funded > 0 ? (spent / funded) * 100 : 100;
 
                 if (percentage < 70) {
                     insights.push({
@@ -112,7 +110,7 @@ class InsightsEngine {
                         priority: 'low',
                         icon: '✅',
                         title: 'Budget Rispettato',
-                        message: `Ottimo! Sei sotto budget del ${(100 - percentage).toFixed(0)}% in "${budget.category}"`,
+                        message: `Ottimo! Sei sotto budget del ${(100 - percentage).toFixed(0)}% in "${categoryManager.getCategory(budget.category)?.name || budget.category}"`,
                         value: percentage
                     });
                 }
@@ -122,6 +120,35 @@ class InsightsEngine {
         return insights;
     }
 
+    /**
+     * Piano zero-based: euro ancora da assegnare o assegnati più del ricevuto
+     */
+    analyzeBudgetPlan(plan) {
+        if (!plan || !plan.budgets.length) return [];
+
+        if (plan.overAssigned) {
+            return [{
+                type: 'budget-over-assigned',
+                priority: 'high',
+                icon: '⚖️',
+                title: 'Piano oltre le entrate',
+                message: `Hai assegnato €${(-plan.toBeAssigned).toFixed(2)} più di quanto hai ricevuto questo mese`,
+                value: plan.toBeAssigned
+            }];
+        }
+        if (plan.toBeAssigned > 0) {
+            return [{
+                type: 'budget-to-assign',
+                priority: 'medium',
+                icon: '📨',
+                title: 'Euro da assegnare',
+                message: `Restano €${plan.toBeAssigned.toFixed(2)} ricevuti e non ancora assegnati a una busta`,
+                value: plan.toBeAssigned
+            }];
+        }
+        return [];
+    }
+
     /**
      * Detect anomalie nelle spese
      */
@@ -271,15 +298,15 @@ class InsightsEngine {
     compareCategorySpending(thisMonth, lastMonth) {
         const comparison = {};
         const categories = new Set([
-            ...thisMonth.map(t => t.category),
-            ...lastMonth.map(t => t.category)
+            ...thisMonth.flatMap(t => transactionParts(t).map(part => part.category)),
+            ...lastMonth.flatMap(t => transactionParts(t).map(part => part.category))
         ]);
+        const spentIn = (list, category) => list.filter(t => t.type === 'out')
+            .reduce((s, t) => s + transactionAmountFor(t, id => id === category), 0);
 
         for (const category of categories) {
-            const thisSpent = thisMonth.filter(t => t.category === category && t.type === 'out')
-                .reduce((s, t) => s + t.amount, 0);
-            const lastSpent = lastMonth.filter(t => t.category === category && t.type === 'out')
-                .reduce((s, t) => s + t.amount, 0);
+            const thisSpent = spentIn(thisMonth, category);
+            const lastSpent = spentIn(lastMonth, category);
 
             if (lastSpent > 0) {
                 comparison[category] = ((thisSpent - lastSpent) / lastSpent) * 100;
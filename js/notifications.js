@@ -96,6 +96,20 @@ class NotificationManager {
         });
     }
 
+    // Notifica budget in anticipo sul ritmo: a questo passo finirà prima della fine del periodo.
+    // Restituisce la notifica, null se non è stata mostrata
+    notifyBudgetPace(category, projected, funded, runOutDate = null) {
+        const categoryName = categoryManager.getCategory(category)?.name || category;
+        const runOut = runOutDate
+            ? ` e si esaurisce il ${runOutDate.toLocaleDateString('it-IT', { day: 'numeric', month: 'short' })}`
+            : '';
+
+        return this.sendNotification('🏃 Spesa in anticipo', {
+            body: `Budget "${categoryName}": a questo ritmo arrivi a €${projected.toFixed(2)} su €${funded.toFixed(2)}${runOut}`,
+            tag: `budget-pace-${category}`
+        });
+    }
+
     // Notifica ricorrenza eseguita
     notifyRecurringExecuted(description, amount, type) {
         const emoji = type === 'in' ? '💰' : '💸';
@@ -0,0 +1,538 @@
+// Record Clock - Versioning per record con vector clock e merge campo per campo
+// Ogni record sincronizzato porta _sync = { clock, modifiedAt, deviceId, createdAt, fields }.
+// fields[nome] = { t, c, d, h }: t = somma del clock alla modifica, c = contatore del dispositivo d
+// in quel momento, h = hash del valore. c permette di capire se l'altra copia ha già visto la modifica.
+
+const DEVICE_ID_KEY = 'futura_device_id';
+const DEVICE_NAME_KEY = 'futura_device_name';
+// lastSeen nel registro dispositivi si aggiorna al massimo una volta ogni ora
+const DEVICE_SEEN_INTERVAL = 60 * 60 * 1000;
+
+// Collezioni sincronizzate e ordine di visualizzazione (desc = più recenti in testa)
+const SYNC_COLLECTIONS = {
+    manualTransactions: 'desc',
+    activeLoans: 'desc',
+    futureIncomes: 'asc',
+    savingsGoals: 'asc',
+    installments: 'asc',
+    balanceHistory: 'asc',
+    // Registro dispositivi: ogni dispositivo scrive solo il proprio record { id, name, platform, firstSeen, lastSeen }
+    devices: 'asc'
+};
+
+// Campi scalari del documento, versionati come un unico pseudo-record
+const SYNC_STATE_FIELDS = ['currentBalance', 'papaLoanData'];
+const SYNC_STATE_ID = 'state';
+
+// Hash valore assente (campo rimosso o record eliminato)
+const MISSING_HASH = '-';
+
+// Id dispositivo stabile, in chiaro perché serve anche prima dello sblocco
+function getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = generateId();
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+// Nome iniziale ricavato dallo user agent, es. "Chrome su Android"
+function defaultDeviceName() {
+    const ua = navigator.userAgent || '';
+    const os = /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Windows/.test(ua) ? 'Windows'
+        : /Linux/.test(ua) ? 'Linux' : '';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+    return os ? `${browser} su ${os}` : browser;
+}
+
+function getDeviceName() {
+    return localStorage.getItem(DEVICE_NAME_KEY) || defaultDeviceName();
+}
+
+function setDeviceName(name) {
+    const trimmed = (name || '').trim().slice(0, 40);
+    if (trimmed) localStorage.setItem(DEVICE_NAME_KEY, trimmed);
+    else localStorage.removeItem(DEVICE_NAME_KEY);
+    return getDeviceName();
+}
+
+// cyrb53: hash a 53 bit, sufficiente per riconoscere un campo cambiato
+function fieldHash(value) {
+    if (value === undefined) return MISSING_HASH;
+    const str = JSON.stringify(value);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Serializzazione con chiavi ordinate: stesso contenuto, stessa stringa
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function clockSum(clock) {
+    return Object.values(clock || {}).reduce((sum, n) => sum + n, 0);
+}
+
+// 'equal' | 'before' (a precede b) | 'after' (a segue b) | 'concurrent'
+function compareClocks(a = {}, b = {}) {
+    let aAhead = false;
+    let bAhead = false;
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(device => {
+        const av = a[device] || 0;
+        const bv = b[device] || 0;
+        if (av > bv) aAhead = true;
+        if (bv > av) bAhead = true;
+    });
+
+    if (aAhead && bAhead) return 'concurrent';
+    if (aAhead) return 'after';
+    if (bAhead) return 'before';
+    return 'equal';
+}
+
+function mergeClocks(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([device, n]) => {
+        merged[device] = Math.max(merged[device] || 0, n);
+    });
+    return merged;
+}
+
+// Ordine totale sui timbri di campo: t, poi dispositivo, poi hash. Garantisce un merge simmetrico.
+function compareStamps(a, b) {
+    if (a.t !== b.t) return a.t - b.t;
+    if (a.d !== b.d) return a.d < b.d ? -1 : 1;
+    if (a.h !== b.h) return a.h < b.h ? -1 : 1;
+    return 0;
+}
+
+function recordFields(record) {
+    return Object.keys(record).filter(key => key !== '_sync' && key !== 'id');
+}
+
+// Aggiorna _sync se qualche campo è cambiato dall'ultimo timbro. Ritorna true se il record è cambiato.
+function stampRecord(record, deviceId, now = new Date().toISOString(), createdAt = now) {
+    const meta = record._sync || { clock: {}, fields: {}, createdAt };
+    const changed = [];
+
+    recordFields(record).forEach(key => {
+        const h = fieldHash(record[key]);
+        if (!meta.fields[key] || meta.fields[key].h !== h) changed.push([key, h]);
+    });
+    Object.keys(meta.fields).forEach(key => {
+        if (!(key in record) && meta.fields[key].h !== MISSING_HASH) changed.push([key, MISSING_HASH]);
+    });
+
+    if (changed.length === 0 && record._sync) return false;
+
+    const clock = { ...meta.clock, [deviceId]: (meta.clock[deviceId] || 0) + 1 };
+    const t = clockSum(clock);
+    const fields = { ...meta.fields };
+    changed.forEach(([key, h]) => {
+        fields[key] = { t, c: clock[deviceId], d: deviceId, h };
+    });
+
+    record._sync = { ...meta, clock, fields, modifiedAt: now, deviceId };
+    return true;
+}
+
+// Un record eliminato diventa una tombstone: resta solo l'id e i metadati
+function createTombstone(id, meta, deviceId, now = new Date().toISOString()) {
+    const tombstone = { id, _deleted: true, _sync: meta };
+    stampRecord(tombstone, deviceId, now);
+    return tombstone;
+}
+
+// true se una copia con questo clock ha già visto la modifica del campo
+function stampSeenBy(stamp, clock = {}) {
+    return (clock[stamp.d] || 0) >= stamp.c;
+}
+
+// Campi modificati in modo concorrente su entrambe le copie: nessuna delle due ha visto
+// la modifica dell'altra e i valori differiscono. I timbri senza c (versioni precedenti) si uniscono in automatico.
+function conflictingFields(a, b) {
+    if (!a || !b || !a._sync || !b._sync) return [];
+    if (compareClocks(a._sync.clock, b._sync.clock) !== 'concurrent') return [];
+
+    const keys = new Set([...Object.keys(a._sync.fields), ...Object.keys(b._sync.fields)]);
+    return [...keys].sort().filter(key => {
+        const stampA = a._sync.fields[key];
+        const stampB = b._sync.fields[key];
+        if (!stampA || !stampB || stampA.h === stampB.h) return false;
+        if (stampA.c === undefined || stampB.c === undefined) return false;
+        return !stampSeenBy(stampA, b._sync.clock) && !stampSeenBy(stampB, a._sync.clock);
+    });
+}
+
+// Risoluzione manuale di un conflitto: choice = 'local' | 'remote' | { campo: 'local' | 'remote' }.
+// Il record risultante ha un clock successivo a entrambe le copie, quindi vince ovunque al prossimo merge.
+function resolveRecord(local, remote, choice, deviceId, now = new Date().toISOString()) {
+    let resolved;
+    if (choice === 'local' || choice === 'remote') {
+        resolved = deepClone(choice === 'local' ? local : remote);
+    } else {
+        resolved = deepClone(mergeRecords(local, remote));
+        Object.entries(choice).forEach(([key, side]) => {
+            const value = (side === 'local' ? local : remote)[key];
+            if (value === undefined) delete resolved[key];
+            else resolved[key] = deepClone(value);
+        });
+        // Eliminazione rifiutata: i campi mancanti nella tombstone tornano dall'altra copia
+        if (!resolved._deleted) {
+            delete resolved._deleted;
+            const live = local._deleted ? remote : local;
+            recordFields(live).forEach(key => {
+                if (resolved[key] === undefined) resolved[key] = deepClone(live[key]);
+            });
+        }
+    }
+    if (resolved._deleted) {
+        recordFields(resolved).forEach(key => {
+            if (key !== '_deleted') delete resolved[key];
+        });
+    }
+
+    const metaA = local._sync || { clock: {}, fields: {} };
+    const metaB = remote._sync || { clock: {}, fields: {} };
+    const merged = mergeClocks(metaA.clock, metaB.clock);
+    const clock = { ...merged, [deviceId]: (merged[deviceId] || 0) + 1 };
+    const t = clockSum(clock);
+    const fields = {};
+    new Set([...recordFields(resolved), ...Object.keys(metaA.fields), ...Object.keys(metaB.fields)]).forEach(key => {
+        fields[key] = { t, c: clock[deviceId], d: deviceId, h: fieldHash(resolved[key]) };
+    });
+
+    resolved.id = local.id;
+    resolved._sync = {
+        clock,
+        fields,
+        createdAt: [metaA.createdAt, metaB.createdAt].filter(Boolean).sort()[0] || now,
+        modifiedAt: now,
+        deviceId
+    };
+    return resolved;
+}
+
+// Merge deterministico di due versioni dello stesso record
+function mergeRecords(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    // Record non ancora versionati (client precedenti) perdono contro qualsiasi timbro
+    const metaA = a._sync || { clock: {}, fields: {}, createdAt: '' };
+    const metaB = b._sync || { clock: {}, fields: {}, createdAt: '' };
+
+    const order = compareClocks(metaA.clock, metaB.clock);
+    if (order === 'after') return a;
+    if (order === 'before') return b;
+
+    const fieldStamp = (record, meta, key) =>
+        meta.fields[key] || { t: 0, d: '', h: fieldHash(record[key]) };
+
+    const merged = { id: a.id };
+    const fields = {};
+    const keys = new Set([
+        ...recordFields(a), ...recordFields(b),
+        ...Object.keys(metaA.fields), ...Object.keys(metaB.fields)
+    ]);
+
+    [...keys].sort().forEach(key => {
+        const stampA = fieldStamp(a, metaA, key);
+        const stampB = fieldStamp(b, metaB, key);
+        const useA = compareStamps(stampA, stampB) >= 0;
+        const source = useA ? a : b;
+        fields[key] = useA ? stampA : stampB;
+        if (source[key] !== undefined) merged[key] = source[key];
+    });
+
+    const newerA = (metaA.modifiedAt || '') > (metaB.modifiedAt || '') ||
+        ((metaA.modifiedAt || '') === (metaB.modifiedAt || '') && (metaA.deviceId || '') >= (metaB.deviceId || ''));
+    const latest = newerA ? metaA : metaB;
+    const createdAt = [metaA.createdAt, metaB.createdAt].filter(Boolean).sort()[0] || latest.modifiedAt;
+
+    merged._sync = {
+        clock: mergeClocks(metaA.clock, metaB.clock),
+        fields,
+        createdAt,
+        modifiedAt: latest.modifiedAt,
+        deviceId: latest.deviceId
+    };
+    return merged;
+}
+
+function sortRecords(records, direction) {
+    return records.sort((a, b) => {
+        const ca = (a._sync && a._sync.createdAt) || '';
+        const cb = (b._sync && b._sync.createdAt) || '';
+        if (ca !== cb) return (ca < cb ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+    });
+}
+
+// Merge per id di due liste (tombstone incluse)
+function mergeCollections(listA = [], listB = [], direction = 'asc') {
+    const byId = new Map();
+    [...listA, ...listB].forEach(record => {
+        const key = String(record.id);
+        byId.set(key, mergeRecords(byId.get(key), record));
+    });
+    return sortRecords([...byId.values()], direction);
+}
+
+class RecordClock {
+    constructor() {
+        this.deviceId = null;
+        // Metadati dell'ultimo timbro per id: servono per riconoscere le eliminazioni
+        this.known = {};
+    }
+
+    getDeviceId() {
+        if (!this.deviceId) this.deviceId = getDeviceId();
+        return this.deviceId;
+    }
+
+    // Aggiorna il record di questo dispositivo nel registro (nome e ultimo accesso).
+    // Ritorna true se il registro è cambiato e va quindi sincronizzato.
+    touchDevice(devices, now = new Date()) {
+        const id = this.getDeviceId();
+        const name = getDeviceName();
+        const seenAt = now.toISOString();
+        const device = devices.find(item => item.id === id);
+
+        if (!device) {
+            devices.push({ id, name, platform: defaultDeviceName(), firstSeen: seenAt, lastSeen: seenAt });
+            return true;
+        }
+        const stale = !device.lastSeen || now - new Date(device.lastSeen) >= DEVICE_SEEN_INTERVAL;
+        if (device.name === name && !stale) return false;
+        device.name = name;
+        device.lastSeen = seenAt;
+        return true;
+    }
+
+    stateRecord(doc) {
+        const record = { id: SYNC_STATE_ID };
+        SYNC_STATE_FIELDS.forEach(key => {
+            if (doc[key] !== undefined) record[key] = doc[key];
+        });
+        if (doc._sync) record._sync = doc._sync;
+        return record;
+    }
+
+    // Memorizza i record conosciuti dopo un caricamento o un merge
+    track(doc) {
+        this.known = {};
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            const map = new Map();
+            [...(doc[collection] || []), ...((doc._tombstones || {})[collection] || [])].forEach(record => {
+                map.set(String(record.id), record);
+            });
+            this.known[collection] = map;
+        });
+    }
+
+    // Timbra i record modificati e crea tombstone per quelli spariti.
+    // Muta i record vivi (che restano nello stato dell'app) e ritorna le tombstone aggiornate.
+    // Ogni record cambiato finisce in changes come { collection, record }: è l'operazione da sincronizzare.
+    stampDocument(doc, changes = []) {
+        const deviceId = this.getDeviceId();
+        const now = new Date().toISOString();
+        const nowMs = Date.parse(now);
+        const tombstones = { ...(doc._tombstones || {}) };
+
+        Object.entries(SYNC_COLLECTIONS).forEach(([collection, direction]) => {
+            const live = doc[collection] || [];
+            const known = this.known[collection] || new Map();
+            const liveIds = new Set();
+
+            live.forEach((record, index) => {
+                liveIds.add(String(record.id));
+                // Primo timbro: createdAt a scalare per conservare l'ordine attuale
+                const offset = direction === 'desc' ? index : live.length - index;
+                if (stampRecord(record, deviceId, now, new Date(nowMs - offset).toISOString())) {
+                    changes.push({ collection, record: deepClone(record) });
+                }
+            });
+
+            const deleted = (tombstones[collection] || []).filter(t => !liveIds.has(String(t.id)));
+            const deletedIds = new Set(deleted.map(t => String(t.id)));
+            known.forEach((record, id) => {
+                if (liveIds.has(id) || deletedIds.has(id) || record._deleted) return;
+                const tombstone = createTombstone(record.id, record._sync, deviceId, now);
+                deleted.push(tombstone);
+                changes.push({ collection, record: deepClone(tombstone) });
+            });
+            tombstones[collection] = deleted;
+        });
+
+        const state = this.stateRecord(doc);
+        if (stampRecord(state, deviceId, now)) {
+            changes.push({ collection: SYNC_STATE_ID, record: deepClone(state) });
+        }
+
+        const stamped = { ...doc, _tombstones: tombstones, _sync: state._sync };
+        this.track(stamped);
+        return stamped;
+    }
+
+    // Ripristino da backup: restored sostituisce current su tutti i dispositivi.
+    // Ogni record ripristinato riceve un clock successivo alla versione attuale (anche se eliminata),
+    // i record attuali assenti dal backup diventano tombstone. Le operazioni finiscono in changes.
+    restoreDocument(current, restored, changes = []) {
+        const deviceId = this.getDeviceId();
+        const now = new Date().toISOString();
+        const doc = { ...restored, _tombstones: {} };
+
+        Object.entries(SYNC_COLLECTIONS).forEach(([collection, direction]) => {
+            const previous = new Map();
+            [...(current[collection] || []), ...((current._tombstones || {})[collection] || [])].forEach(record => {
+                previous.set(String(record.id), record);
+            });
+
+            const live = (restored[collection] || []).map(record => {
+                const stamped = resolveRecord(previous.get(String(record.id)) || record, record, 'remote', deviceId, now);
+                changes.push({ collection, record: deepClone(stamped) });
+                return stamped;
+            });
+            const liveIds = new Set(live.map(record => String(record.id)));
+
+            const deleted = new Map();
+            [...((restored._tombstones || {})[collection] || []), ...previous.values()].forEach(record => {
+                const id = String(record.id);
+                if (liveIds.has(id)) return;
+                if (record._deleted) {
+                    deleted.set(id, mergeRecords(deleted.get(id), record));
+                    return;
+                }
+                const tombstone = createTombstone(record.id, record._sync, deviceId, now);
+                deleted.set(id, tombstone);
+                changes.push({ collection, record: deepClone(tombstone) });
+            });
+
+            doc[collection] = sortRecords(live, direction);
+            doc._tombstones[collection] = [...deleted.values()];
+        });
+
+        const state = resolveRecord(this.stateRecord(current), this.stateRecord(restored), 'remote', deviceId, now);
+        SYNC_STATE_FIELDS.forEach(key => {
+            if (state[key] !== undefined) doc[key] = state[key];
+            else delete doc[key];
+        });
+        doc._sync = state._sync;
+        changes.push({ collection: SYNC_STATE_ID, record: deepClone(state) });
+
+        this.track(doc);
+        return doc;
+    }
+
+    // Documento parziale con i soli record di una serie di operazioni, da unire con mergeDocuments
+    entriesToDocument(entries) {
+        const doc = { _tombstones: {} };
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            doc[collection] = [];
+            doc._tombstones[collection] = [];
+        });
+
+        entries.forEach(({ collection, record }) => {
+            if (collection === SYNC_STATE_ID) {
+                const state = mergeRecords(this.stateRecord(doc), record);
+                SYNC_STATE_FIELDS.forEach(key => {
+                    if (state[key] !== undefined) doc[key] = state[key];
+                });
+                doc._sync = state._sync;
+                return;
+            }
+            if (!SYNC_COLLECTIONS[collection]) return;
+            const target = record._deleted ? doc._tombstones[collection] : doc[collection];
+            target.push(record);
+        });
+
+        return doc;
+    }
+
+    // Hash del solo contenuto sincronizzato (collezioni, tombstone, campi di stato)
+    documentHash(doc) {
+        const content = { _sync: doc._sync || null, _tombstones: {} };
+        Object.keys(SYNC_COLLECTIONS).forEach(collection => {
+            content[collection] = doc[collection] || [];
+            content._tombstones[collection] = (doc._tombstones || {})[collection] || [];
+        });
+        SYNC_STATE_FIELDS.forEach(key => {
+            content[key] = doc[key];
+        });
+        return fieldHash(canonicalJSON(content));
+    }
+
+    // Merge completo di due documenti; il risultato non dipende dall'ordine degli argomenti.
+    // Con un array conflicts i record modificati in modo concorrente non vengono uniti:
+    // resta la copia locale e il conflitto { collection, id, local, remote, fields } va risolto a mano.
+    mergeDocuments(local, remote, conflicts = null) {
+        const merged = { ...remote, ...local };
+        const tombstones = {};
+
+        // Metadati di salvataggio: vince la copia più recente
+        if ((remote.updatedAt || '') > (local.updatedAt || '')) {
+            merged.updatedAt = remote.updatedAt;
+            merged.lastSavedTime = remote.lastSavedTime;
+        }
+
+        Object.entries(SYNC_COLLECTIONS).forEach(([collection, direction]) => {
+            const localRecords = [...(local[collection] || []), ...((local._tombstones || {})[collection] || [])];
+            let remoteRecords = [...(remote[collection] || []), ...((remote._tombstones || {})[collection] || [])];
+            if (conflicts) {
+                const byId = new Map(localRecords.map(record => [String(record.id), record]));
+                remoteRecords = remoteRecords.filter(record => {
+                    const localRecord = byId.get(String(record.id));
+                    const fields = conflictingFields(localRecord, record);
+                    if (fields.length === 0) return true;
+                    conflicts.push({ collection, id: record.id, local: localRecord, remote: record, fields });
+                    return false;
+                });
+            }
+            const all = mergeCollections(localRecords, remoteRecords, direction);
+            merged[collection] = all.filter(record => !record._deleted);
+            tombstones[collection] = all.filter(record => record._deleted);
+        });
+        merged._tombstones = tombstones;
+
+        const localState = this.stateRecord(local);
+        const remoteState = this.stateRecord(remote);
+        const stateFields = conflicts ? conflictingFields(localState, remoteState) : [];
+        if (stateFields.length > 0) {
+            conflicts.push({ collection: SYNC_STATE_ID, id: SYNC_STATE_ID, local: localState, remote: remoteState, fields: stateFields });
+        }
+        const state = stateFields.length > 0 ? localState : mergeRecords(localState, remoteState);
+        SYNC_STATE_FIELDS.forEach(key => {
+            if (state[key] !== undefined) merged[key] = state[key];
+            else delete merged[key];
+        });
+        merged._sync = state._sync;
+
+        return merged;
+    }
+}
+
+// Singleton
+const recordClock = new RecordClock();
@@ -158,17 +158,20 @@ class RecurringManager {
         return executed;
     }
 
-    // Get previsioni prossimi N giorni
-    getForecast(days = 30) {
+    // Get previsioni prossimi N giorni (da from, di default adesso)
+    getForecast(days = 30, from = new Date()) {
         const forecast = [];
-        const now = new Date();
-        const endDate = new Date(now);
+        const endDate = new Date(from);
         endDate.setDate(endDate.getDate() + days);
 
         this.getActiveRecurrings().forEach(recurring => {
             let nextDate = new Date(recurring.nextExecution);
 
             while (nextDate <= endDate) {
+                if (nextDate < from) {
+                    nextDate = new Date(this.calculateNextExecution(recurring, nextDate));
+                    continue;
+                }
                 forecast.push({
                     date: nextDate.toISOString(),
                     recurring,
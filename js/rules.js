@@ -0,0 +1,239 @@
+// Rules - Regole di categorizzazione definite dall'utente
+// Una regola confronta descrizione (contiene / regex / parola intera), importo, tipo e giorno della settimana
+// e assegna categoria ed eventuali tag. Vince la regola attiva con priorità più alta.
+
+const CATEGORY_RULES_KEY = 'category_rules';
+const RULE_MATCH_MODES = ['contains', 'word', 'regex'];
+const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mer', 'Gio', 'Ven', 'Sab'];
+
+class CategoryRuleManager {
+    constructor() {
+        this.rules = [];
+        this.regexCache = new Map();
+        this.loadRules();
+    }
+
+    // Normalizza i dati del form in una regola salvabile
+    normalizeRule(data) {
+        const amount = value => (value === '' || value === null || value === undefined) ? null : parseFloat(value);
+        return {
+            name: (data.name || '').trim(),
+            priority: parseInt(data.priority, 10) || 0,
+            enabled: data.enabled !== false,
+            match: {
+                field: 'desc',
+                mode: RULE_MATCH_MODES.includes(data.match?.mode) ? data.match.mode : 'contains',
+                value: (data.match?.value || '').trim()
+            },
+            minAmount: amount(data.minAmount),
+            maxAmount: amount(data.maxAmount),
+            type: ['in', 'out'].includes(data.type) ? data.type : null,
+            weekdays: Array.isArray(data.weekdays) ? [...new Set(data.weekdays.map(Number))].sort() : [],
+            category: data.category || 'other',
+            tags: normalizeTags(data.tags)
+        };
+    }
+
+    // Errori di validazione (vuoto = regola valida)
+    validateRule(rule) {
+        const errors = [];
+        const hasCondition = rule.match.value || rule.minAmount !== null || rule.maxAmount !== null ||
+            rule.type || rule.weekdays.length;
+
+        if (!hasCondition) errors.push('Specifica almeno una condizione');
+        if (rule.match.mode === 'regex' && rule.match.value) {
+            try {
+                new RegExp(rule.match.value, 'i');
+            } catch (e) {
+                errors.push(`Espressione regolare non valida: ${e.message}`);
+            }
+        }
+        if (rule.minAmount !== null && isNaN(rule.minAmount)) errors.push('Importo minimo non valido');
+        if (rule.maxAmount !== null && isNaN(rule.maxAmount)) errors.push('Importo massimo non valido');
+        if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) {
+            errors.push('L\'importo minimo supera il massimo');
+        }
+        return errors;
+    }
+
+    // Crea nuova regola
+    createRule(data) {
+        const rule = { id: generateId(), ...this.normalizeRule(data), createdAt: new Date().toISOString() };
+        const errors = this.validateRule(rule);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        this.rules.push(rule);
+        this.saveRules();
+        return rule;
+    }
+
+    // Update regola
+    updateRule(id, data) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        const rule = { ...this.rules[index], ...this.normalizeRule({ ...this.rules[index], ...data }) };
+        const errors = this.validateRule(rule);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        this.rules[index] = rule;
+        this.saveRules();
+        return rule;
+    }
+
+    // Delete regola
+    deleteRule(id) {
+        this.rules = this.rules.filter(r => r.id !== id);
+        this.saveRules();
+    }
+
+    // Toggle active status
+    toggleRule(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (rule) {
+            rule.enabled = !rule.enabled;
+            this.saveRules();
+        }
+        return rule || null;
+    }
+
+    // Regole in ordine di valutazione: priorità decrescente, a parità la più vecchia
+    getSortedRules() {
+        return [...this.rules].sort((a, b) =>
+            b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Giorno della settimana dal timestamp (le vecchie date "12 gen" non hanno l'anno)
+    weekdayOf(transaction) {
+        if (!transaction.timestamp) return null;
+        const date = new Date(transaction.timestamp);
+        return isNaN(date) ? null : date.getDay();
+    }
+
+    regexFor(rule) {
+        const key = `${rule.match.mode}:${rule.match.value}`;
+        if (!this.regexCache.has(key)) {
+            const escaped = rule.match.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            // \b non riconosce le lettere accentate: confini di parola espliciti
+            const source = rule.match.mode === 'word'
+                ? `(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`
+                : rule.match.value;
+            this.regexCache.set(key, new RegExp(source, rule.match.mode === 'word' ? 'iu' : 'i'));
+        }
+        return this.regexCache.get(key);
+    }
+
+    matchesText(rule, description) {
+        if (!rule.match.value) return true;
+        const desc = description || '';
+        if (rule.match.mode === 'contains') {
+            return desc.toLowerCase().includes(rule.match.value.toLowerCase());
+        }
+        try {
+            return this.regexFor(rule).test(desc);
+        } catch {
+            return false;
+        }
+    }
+
+    // Tutte le condizioni presenti devono essere soddisfatte
+    matches(rule, transaction) {
+        const amount = parseFloat(transaction.amount);
+
+        if (rule.type && transaction.type !== rule.type) return false;
+        if (rule.minAmount !== null && !(amount >= rule.minAmount)) return false;
+        if (rule.maxAmount !== null && !(amount <= rule.maxAmount)) return false;
+        if (rule.weekdays.length && !rule.weekdays.includes(this.weekdayOf(transaction))) return false;
+        return this.matchesText(rule, transaction.desc);
+    }
+
+    // Prima regola attiva che corrisponde, o null
+    findRule(transaction, rules = this.getSortedRules()) {
+        return rules.find(rule => rule.enabled && this.matches(rule, transaction)) || null;
+    }
+
+    // Categoria e tag risultanti; i tag della regola si aggiungono a quelli esistenti
+    apply(transaction, rules) {
+        const rule = this.findRule(transaction, rules);
+        if (!rule) return null;
+        return {
+            rule,
+            category: rule.category,
+            tags: normalizeTags([...(transaction.tags || []), ...rule.tags])
+        };
+    }
+
+    // Anteprima di una regola (anche non salvata) sullo storico: solo le corrispondenze
+    previewRule(data, transactions) {
+        const rule = { ...this.normalizeRule(data), enabled: true };
+        if (this.validateRule(rule).length) return [];
+
+        return transactions
+            .map((transaction, index) => ({ transaction, index }))
+            .filter(({ transaction }) => this.matches(rule, transaction))
+            .map(({ transaction, index }) => ({
+                index,
+                transaction,
+                from: transaction.category || 'other',
+                to: rule.category,
+                tags: normalizeTags([...(transaction.tags || []), ...rule.tags])
+            }));
+    }
+
+    // Riapplica le regole allo storico: ritorna solo le transazioni che cambiano
+    rerunOnHistory(transactions) {
+        const rules = this.getSortedRules();
+        const changes = [];
+
+        transactions.forEach((transaction, index) => {
+            // Le categorie delle transazioni ripartite sono nelle righe, scelte a mano
+            if (transaction.splits && transaction.splits.length) return;
+            // Le correzioni manuali valgono più delle regole (come in saveTransactionEdit)
+            if (transaction.categorizedBy === 'user') return;
+            const result = this.apply(transaction, rules);
+            if (!result) return;
+
+            const sameTags = JSON.stringify(result.tags) === JSON.stringify(normalizeTags(transaction.tags));
+            if (result.category === (transaction.category || 'other') && sameTags) return;
+
+            changes.push({
+                index,
+                id: transaction.id,
+                from: transaction.category || 'other',
+                to: result.category,
+                tags: result.tags,
+                ruleId: result.rule.id
+            });
+        });
+
+        return changes;
+    }
+
+    // Descrizione leggibile delle condizioni
+    describeRule(rule) {
+        const parts = [];
+        const modes = { contains: 'contiene', word: 'parola', regex: 'regex' };
+        if (rule.match.value) parts.push(`${modes[rule.match.mode]} "${rule.match.value}"`);
+        if (rule.minAmount !== null && rule.maxAmount !== null) parts.push(`€${rule.minAmount}–${rule.maxAmount}`);
+        else if (rule.minAmount !== null) parts.push(`≥ €${rule.minAmount}`);
+        else if (rule.maxAmount !== null) parts.push(`≤ €${rule.maxAmount}`);
+        if (rule.type) parts.push(rule.type === 'in' ? 'entrate' : 'uscite');
+        if (rule.weekdays.length) parts.push(rule.weekdays.map(day => WEEKDAY_LABELS[day]).join(', '));
+        return parts.join(' · ');
+    }
+
+    // Load regole da storage
+    loadRules() {
+        this.rules = storage.get(CATEGORY_RULES_KEY, []);
+        this.regexCache.clear();
+    }
+
+    // Save regole
+    saveRules() {
+        this.regexCache.clear();
+        storage.set(CATEGORY_RULES_KEY, this.rules);
+    }
+}
+
+// Singleton
+const categoryRuleManager = new CategoryRuleManager();
@@ -14,8 +14,8 @@ class SavingsGoalManager {
      */
     async loadGoals() {
         try {
-            if (typeof db !== 'undefined') {
-                this.goals = await db.getAll('goals') || [];
+            if (typeof dbManager !== 'undefined' && dbManager.isReady) {
+                this.goals = await dbManager.getAll('goals') || [];
             } else {
                 const stored = localStorage.getItem('savings_goals');
                 this.goals = stored ? JSON.parse(stored) : [];
@@ -33,11 +33,9 @@ class SavingsGoalManager {
      */
     async saveGoals() {
         try {
-            if (typeof db !== 'undefined') {
+            if (typeof dbManager !== 'undefined' && dbManager.isReady) {
                 // Save to IndexedDB
-                for (const goal of this.goals) {
-                    await db.put('goals', goal);
-                }
+                await dbManager.replaceAll('goals', deepClone(this.goals));
             } else {
                 localStorage.setItem('savings_goals', JSON.stringify(this.goals));
             }
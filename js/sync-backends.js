@@ -0,0 +1,469 @@
+// Sync Backends - Adapter per il cloud: JSONbin.io, WebDAV (Nextcloud), REST su HTTP
+// Interfaccia comune: load(), save(data), saveIfMatch(data, version), healthCheck()
+// version è un token opaco (ETag o hash) usato per il salvataggio condizionale.
+// Log operazioni: pullOps(sinceSeq), pushOps(ops, baseSeq), saveSnapshot(data, seq, schema).
+// Sui backend a documento il log è emulato nel documento stesso:
+// { _oplog: 1, headSeq, snapshot: { seq, schema, data }, ops: [{ seq, deviceId, ts, schema, data }] }
+// e ogni sync scarica il documento intero una volta sola (pullOps): push e compattazione riusano
+// log e versione letti lì. Solo il backend REST trasferisce davvero il delta.
+// schema = versione del documento cloud (cloud-schema.js), in chiaro per poterla controllare senza decifrare.
+
+const OPLOG_FORMAT = 1;
+
+// Normalizza il contenuto remoto nel formato log. Un documento precedente al log
+// (stato completo, in chiaro o cifrato) diventa uno snapshot "legacy" a seq 0.
+function normalizeOpLog(data) {
+    if (!data) return { _oplog: OPLOG_FORMAT, headSeq: 0, snapshot: null, ops: [] };
+    if (data._oplog) return { headSeq: 0, snapshot: null, ops: [], ...data };
+    return { _oplog: OPLOG_FORMAT, headSeq: 0, snapshot: { seq: 0, data, legacy: true }, ops: [] };
+}
+
+// Schema più recente presente nel log (1 = dati scritti prima del versioning)
+function logSchema(log) {
+    const versions = [log.snapshot, ...log.ops].filter(Boolean).map(entry => entry.schema || 1);
+    return Math.max(1, ...versions);
+}
+
+// Operazioni successive a sinceSeq; lo snapshot serve solo se il cursore precede la compattazione.
+// sinceSeq = -1: dispositivo mai sincronizzato. sinceSeq > headSeq: il log remoto è stato ricreato.
+function sliceOpLog(log, sinceSeq) {
+    const reset = sinceSeq > log.headSeq;
+    const since = reset ? -1 : sinceSeq;
+    return {
+        headSeq: log.headSeq,
+        snapshot: log.snapshot && since < log.snapshot.seq ? log.snapshot : null,
+        ops: log.ops.filter(op => op.seq > since),
+        opCount: log.ops.length,
+        schema: logSchema(log),
+        reset
+    };
+}
+
+class SyncBackend {
+    constructor(config = {}) {
+        this.config = config;
+        this.maxRetries = 3;
+        this.retryDelay = 2000; // ms
+        // Ultimo { log, version } letto o scritto, riusato nella stessa sync
+        this.opLog = null;
+        // Diagnostica: riceve { method, status, bytesSent, retries } per ogni richiesta completata
+        this.onRequest = null;
+    }
+
+    // Ritorna { data, version }; data è null se sul backend non c'è ancora nulla
+    async load() {
+        throw new Error('load() non implementato');
+    }
+
+    // Ritorna { version }
+    async save(data) {
+        throw new Error('save() non implementato');
+    }
+
+    // Salva solo se la copia remota è ancora alla versione indicata, altrimenti errore con conflict = true.
+    // version null = il documento non deve esistere; undefined = salvataggio incondizionato.
+    async saveIfMatch(data, version) {
+        throw new Error('saveIfMatch() non implementato');
+    }
+
+    // Ritorna { ok, status, message }
+    async healthCheck() {
+        throw new Error('healthCheck() non implementato');
+    }
+
+    // Identifica la destinazione: il cursore di sync vale solo per lo stesso backend
+    get identity() {
+        return `${this.config.backend || DEFAULT_SYNC_BACKEND}:${this.config.url || this.config.binId || ''}`;
+    }
+
+    async readOpLog() {
+        const { data, version } = await this.load();
+        this.opLog = { log: normalizeOpLog(data), version };
+        return this.opLog;
+    }
+
+    // Log già letto da pullOps (o appena scritto): le scritture di altri dispositivi
+    // nel frattempo le rileva il salvataggio condizionale
+    async currentOpLog() {
+        return this.opLog || this.readOpLog();
+    }
+
+    async writeOpLog(log, version) {
+        try {
+            const { version: nextVersion } = await this.saveIfMatch(log, version);
+            this.opLog = { log, version: nextVersion };
+        } catch (error) {
+            this.opLog = null;
+            throw error;
+        }
+    }
+
+    // Ritorna { headSeq, snapshot, ops, opCount, reset }
+    async pullOps(sinceSeq) {
+        const { log } = await this.readOpLog();
+        return sliceOpLog(log, sinceSeq);
+    }
+
+    // Accoda operazioni { deviceId, ts, data } se il log è ancora a baseSeq. Ritorna { headSeq }
+    async pushOps(ops, baseSeq) {
+        const { log, version } = await this.currentOpLog();
+        if (log.headSeq !== baseSeq) throw this.conflictError();
+
+        let headSeq = log.headSeq;
+        const appended = ops.map(op => ({ ...op, seq: ++headSeq }));
+        await this.writeOpLog({ ...log, headSeq, ops: [...log.ops, ...appended] }, version);
+        return { headSeq };
+    }
+
+    // Compattazione: lo snapshot a seq sostituisce tutte le operazioni fino a seq
+    async saveSnapshot(data, seq, schema = 1) {
+        const { log, version } = await this.currentOpLog();
+        if (log.headSeq !== seq) throw this.conflictError();
+
+        await this.writeOpLog({
+            _oplog: OPLOG_FORMAT,
+            headSeq: seq,
+            snapshot: { seq, schema, data },
+            ops: log.ops.filter(op => op.seq > seq)
+        }, version);
+        return { headSeq: seq };
+    }
+
+    // Le richieste di sync non devono mai passare dalla cache del service worker
+    async request(url, options = {}) {
+        const trace = { method: options.method || 'GET', status: null, bytesSent: options.body ? new Blob([options.body]).size : 0, retries: 0 };
+        try {
+            const response = await this.fetchWithRetry(url, { cache: 'no-store', ...options }, 1, trace);
+            trace.status = response.status;
+            return response;
+        } finally {
+            if (this.onRequest) this.onRequest(trace);
+        }
+    }
+
+    // Fetch con retry exponential backoff
+    async fetchWithRetry(url, options, attempt = 1, trace = null) {
+        if (trace) trace.retries = attempt - 1;
+        try {
+            const response = await fetch(url, options);
+
+            // Se 5xx, retry
+            if (response.status >= 500 && attempt < this.maxRetries) {
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                console.log(`[Sync] Retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+                await this.sleep(delay);
+                return this.fetchWithRetry(url, options, attempt + 1, trace);
+            }
+
+            return response;
+        } catch (error) {
+            if (attempt < this.maxRetries) {
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                console.log(`[Sync] Network error, retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+                await this.sleep(delay);
+                return this.fetchWithRetry(url, options, attempt + 1, trace);
+            }
+            throw error;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    httpError(response, overrides = {}) {
+        const messages = {
+            401: 'CREDENZIALI ERRATE',
+            403: 'ACCESSO NEGATO (Controlla le credenziali)',
+            404: 'RISORSA NON TROVATA (Controlla l\'indirizzo)',
+            409: 'Dati cloud modificati da un altro dispositivo',
+            412: 'Dati cloud modificati da un altro dispositivo',
+            ...overrides
+        };
+        const error = new Error(messages[response.status] || `Errore Server (${response.status})`);
+        error.status = response.status;
+        error.conflict = response.status === 409 || response.status === 412;
+        return error;
+    }
+
+    conflictError() {
+        const error = new Error('Dati cloud modificati da un altro dispositivo');
+        error.status = 412;
+        error.conflict = true;
+        return error;
+    }
+
+    async parseBody(response) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+}
+
+// JSONbin.io: nessun ETag, la versione è l'hash del contenuto (controllo non atomico).
+// Senza scrittura condizionale serve una lettura prima di ogni salvataggio: è l'unica in più per sync
+class JsonBinBackend extends SyncBackend {
+    constructor(config) {
+        super(config);
+        this.baseUrl = 'https://api.jsonbin.io/v3/b';
+    }
+
+    headers(extra = {}) {
+        return { 'X-Master-Key': (this.config.apiKey || '').trim(), ...extra };
+    }
+
+    binUrl(suffix = '') {
+        return `${this.baseUrl}/${(this.config.binId || '').trim()}${suffix}`;
+    }
+
+    async load() {
+        const response = await this.request(this.binUrl('/latest'), {
+            method: 'GET',
+            headers: this.headers({ 'X-Bin-Meta': 'false' })
+        });
+        if (!response.ok) {
+            throw this.httpError(response, {
+                401: 'CHIAVE ERRATA (Controlla Master Key)',
+                403: 'CHIAVE ERRATA (Controlla Master Key)',
+                404: "BIN ID NON TROVATO (Controlla l'ID)"
+            });
+        }
+
+        const data = await this.parseBody(response);
+        return { data, version: this.contentVersion(data) };
+    }
+
+    async save(data) {
+        const response = await this.request(this.binUrl(), {
+            method: 'PUT',
+            headers: this.headers({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) throw this.httpError(response);
+        return { version: this.contentVersion(data) };
+    }
+
+    async saveIfMatch(data, version) {
+        if (version !== undefined) {
+            const current = await this.load();
+            if (current.version !== version) throw this.conflictError();
+        }
+        return this.save(data);
+    }
+
+    async healthCheck() {
+        try {
+            await this.load();
+            return { ok: true, status: 200, message: 'OK' };
+        } catch (error) {
+            return { ok: false, status: error.status || 0, message: error.message };
+        }
+    }
+
+    contentVersion(data) {
+        const str = JSON.stringify(data);
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) - hash) + str.charCodeAt(i);
+            hash = hash & hash;
+        }
+        return hash.toString(36);
+    }
+}
+
+// Base per i backend HTTP con ETag e If-Match (WebDAV e REST)
+class EtagBackend extends SyncBackend {
+    headers(extra = {}) {
+        return extra;
+    }
+
+    async load() {
+        const response = await this.request(this.config.url, {
+            method: 'GET',
+            headers: this.headers({ 'Accept': 'application/json' })
+        });
+
+        // Documento non ancora creato
+        if (response.status === 404) return { data: null, version: null };
+        if (!response.ok) throw this.httpError(response);
+
+        // Senza ETag il salvataggio condizionale non è possibile: version undefined
+        return { data: await this.parseBody(response), version: response.headers.get('ETag') || undefined };
+    }
+
+    async put(data, conditionHeaders = {}) {
+        const response = await this.request(this.config.url, {
+            method: 'PUT',
+            headers: this.headers({ 'Content-Type': 'application/json', ...conditionHeaders }),
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) throw this.httpError(response);
+        return { version: response.headers.get('ETag') || undefined };
+    }
+
+    async save(data) {
+        return this.put(data);
+    }
+
+    async saveIfMatch(data, version) {
+        if (version === undefined) return this.save(data);
+        // Senza versione il documento non deve esistere ancora
+        return this.put(data, version ? { 'If-Match': version } : { 'If-None-Match': '*' });
+    }
+}
+
+// WebDAV / Nextcloud: config { url, username, password }
+// url punta al file, es. https://cloud.example.com/remote.php/dav/files/utente/futura-sync.json
+class WebDavBackend extends EtagBackend {
+    headers(extra = {}) {
+        const { username = '', password = '' } = this.config;
+        return {
+            'Authorization': 'Basic ' + btoa(unescape(encodeURIComponent(`${username}:${password}`))),
+            ...extra
+        };
+    }
+
+    async healthCheck() {
+        try {
+            const response = await this.request(this.config.url, {
+                method: 'PROPFIND',
+                headers: this.headers({ 'Depth': '0' })
+            });
+            // 404: credenziali valide, il file verrà creato al primo salvataggio
+            if (response.ok || response.status === 404) {
+                return { ok: true, status: response.status, message: 'OK' };
+            }
+            const error = this.httpError(response);
+            return { ok: false, status: response.status, message: error.message };
+        } catch (error) {
+            return { ok: false, status: 0, message: error.message };
+        }
+    }
+}
+
+// REST su HTTP: GET/PUT di un documento JSON su config.url, token Bearer opzionale.
+// Il log operazioni usa endpoint dedicati, così ogni sync trasferisce solo il delta:
+//   GET  {url}/ops?since=N      -> { headSeq, snapshot, ops, opCount, schema }
+//   POST {url}/ops              { baseSeq, ops }       -> { headSeq }   (409 se baseSeq non è l'ultimo)
+//   PUT  {url}/snapshot         { seq, schema, data }  -> { headSeq }   (409 se seq non è l'ultimo)
+// schema nella risposta è la versione più recente presente nel log (snapshot e operazioni).
+class HttpBackend extends EtagBackend {
+    headers(extra = {}) {
+        const headers = { ...extra };
+        if (this.config.token) headers['Authorization'] = `Bearer ${this.config.token}`;
+        return headers;
+    }
+
+    endpoint(path) {
+        return `${this.config.url.replace(/\/+$/, '')}/${path}`;
+    }
+
+    async sendJSON(method, path, body) {
+        const response = await this.request(this.endpoint(path), {
+            method,
+            headers: this.headers({ 'Content-Type': 'application/json', 'Accept': 'application/json' }),
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (!response.ok) throw this.httpError(response);
+        return this.parseBody(response);
+    }
+
+    async pullOps(sinceSeq) {
+        const result = await this.sendJSON('GET', `ops?since=${encodeURIComponent(sinceSeq)}`);
+        const headSeq = result.headSeq || 0;
+        const snapshot = result.snapshot || null;
+        const ops = result.ops || [];
+        return {
+            headSeq,
+            snapshot,
+            ops,
+            opCount: result.opCount || 0,
+            schema: result.schema || logSchema({ snapshot, ops }),
+            reset: sinceSeq > headSeq
+        };
+    }
+
+    async pushOps(ops, baseSeq) {
+        const result = await this.sendJSON('POST', 'ops', { baseSeq, ops });
+        return { headSeq: result.headSeq };
+    }
+
+    async saveSnapshot(data, seq, schema = 1) {
+        const result = await this.sendJSON('PUT', 'snapshot', { seq, schema, data });
+        return { headSeq: result.headSeq };
+    }
+
+    async healthCheck() {
+        try {
+            const response = await this.request(this.config.url, {
+                method: 'HEAD',
+                headers: this.headers()
+            });
+            if (response.ok || response.status === 404) {
+                return { ok: true, status: response.status, message: 'OK' };
+            }
+            const error = this.httpError(response);
+            return { ok: false, status: response.status, message: error.message };
+        } catch (error) {
+            return { ok: false, status: 0, message: error.message };
+        }
+    }
+}
+
+// Registro backend: etichette e campi per la schermata di configurazione
+const SYNC_BACKENDS = {
+    jsonbin: {
+        label: 'JSONBin.io',
+        create: config => new JsonBinBackend(config),
+        fields: [
+            { key: 'binId', label: 'Bin ID', type: 'text', placeholder: 'es. 673b...', required: true },
+            { key: 'apiKey', label: 'X-Master-Key', type: 'password', placeholder: 'es. $2a$...', required: true }
+        ]
+    },
+    webdav: {
+        label: 'WebDAV / Nextcloud',
+        create: config => new WebDavBackend(config),
+        fields: [
+            { key: 'url', label: 'URL file', type: 'url', placeholder: 'https://cloud.example.com/remote.php/dav/files/utente/futura-sync.json', required: true },
+            { key: 'username', label: 'Utente', type: 'text', placeholder: 'utente', required: true },
+            { key: 'password', label: 'Password app', type: 'password', placeholder: 'xxxxx-xxxxx-xxxxx', required: true }
+        ]
+    },
+    http: {
+        label: 'Server HTTP (REST)',
+        create: config => new HttpBackend(config),
+        fields: [
+            { key: 'url', label: 'URL documento', type: 'url', placeholder: 'https://sync.example.com/api/futura', required: true },
+            { key: 'token', label: 'Token (opzionale)', type: 'password', placeholder: 'Bearer token', required: false }
+        ]
+    }
+};
+
+const DEFAULT_SYNC_BACKEND = 'jsonbin';
+
+// Le configurazioni salvate prima dei backend multipli sono JSONbin
+function createSyncBackend(config = {}) {
+    const type = config.backend || DEFAULT_SYNC_BACKEND;
+    const definition = SYNC_BACKENDS[type];
+    if (!definition) throw new Error(`Backend di sync sconosciuto: ${type}`);
+    return definition.create(config);
+}
+
+// Ritorna l'elenco dei campi obbligatori mancanti
+function missingBackendFields(config = {}) {
+    const definition = SYNC_BACKENDS[config.backend || DEFAULT_SYNC_BACKEND];
+    if (!definition) return [];
+    return definition.fields
+        .filter(field => field.required && !String(config[field.key] || '').trim())
+        .map(field => field.label);
+}
+
+// Configurazione vuota con i campi di tutti i backend (la schermata di setup li mostra per tipo)
+function emptySyncConfig(backend = DEFAULT_SYNC_BACKEND) {
+    const config = { backend };
+    Object.values(SYNC_BACKENDS).forEach(definition => {
+        definition.fields.forEach(field => {
+            config[field.key] = '';
+        });
+    });
+    return config;
+}
@@ -1,20 +1,53 @@
-// Sync Manager - Gestione sincronizzazione avanzata con JSONbin.io
-// Retry logic, conflict resolution, sync differenziale
+// Sync Manager - Gestione sincronizzazione avanzata su backend intercambiabili (sync-backends.js)
+// Sync differenziale a log di operazioni: ogni record modificato (timbrato da record-clock.js) viene
+// accodato in syncQueue; si inviano e ricevono solo le operazioni successive all'ultimo seq applicato,
+// con compattazione periodica in uno snapshot. Il cloud riceve solo envelope cifrati (CloudCipher in crypto.js).
+// Le modifiche concorrenti allo stesso campo non si risolvono da sole: la sync si ferma finché non vengono risolte.
+// Unico percorso di sync per l'app: offline le operazioni restano in coda e si registra un Background Sync,
+// gli errori ripartono con backoff esponenziale; lo stato (status) è esposto alla UI.
+// Ogni tentativo finisce nella diagnostica (ultimi N, esportabile per le segnalazioni di bug).
+
+const SYNC_DIAGNOSTICS_KEY = 'syncDiagnostics';
+const BACKGROUND_SYNC_TAG = 'sync-data';
 
 class SyncManager {
-    constructor(binId, apiKey) {
-        this.binId = binId;
-        this.apiKey = apiKey;
-        this.baseUrl = 'https://api.jsonbin.io/v3/b';
+    constructor(backend, cipher = new CloudCipher()) {
+        this.backend = backend;
+        this.cipher = cipher;
         this.syncInterval = null;
         this.isSyncing = false;
+        // Sync in corso (promise) e richiesta di annullamento al blocco dell'app
+        this.currentSync = null;
+        this.cancelled = false;
+        // Richiesta di sync arrivata mentre un'altra era in corso: ripetuta alla fine
+        this.pendingResync = false;
         this.lastSyncHash = null;
         this.retryAttempts = 0;
-        this.maxRetries = 3;
-        this.retryDelay = 2000; // ms
+        this.retryTimer = null;
+        this.retryBaseDelay = 30 * 1000;
+        this.retryMaxDelay = 15 * 60 * 1000;
+        this.maxConflictRetries = 2;
+        // Oltre questo numero di operazioni nel log remoto si riscrive lo snapshot
+        this.compactEvery = 50;
+        // Conflitti in attesa di risoluzione (copia in memoria dello store conflicts)
+        this.conflicts = [];
+        // Diagnostica: tentativo in corso e ultimi tentativi conclusi
+        this.attempt = null;
+        this.maxDiagnostics = 50;
+        this.backend.onRequest = trace => this.traceRequest(trace);
+
+        // state: 'synced' | 'pending' | 'syncing' | 'failed' | 'conflicts'; pending = operazioni in coda
+        this.status = { state: 'synced', pending: 0, error: null, lastSyncAt: null, nextRetryAt: null };
+
+        // Forniti dall'app: documento locale timbrato e callback per le modifiche arrivate dal cloud
+        this.getLocalData = null;
+        this.onRemoteChanges = null;
+        this.onStatusChange = null;
+
+        this.handleOnline = () => this.syncData();
     }
 
-    // Avvia sync automatico periodico
+    // Avvia sync automatico periodico e al ritorno della connessione
     startAutoSync(intervalMinutes = 5) {
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
@@ -23,11 +56,14 @@ class SyncManager {
         this.syncInterval = setInterval(() => {
             this.syncData();
         }, intervalMinutes * 60 * 1000);
+        window.addEventListener('online', this.handleOnline);
 
         console.log(`[Sync] Auto-sync started (every ${intervalMinutes} min)`);
     }
 
     stopAutoSync() {
+        window.removeEventListener('online', this.handleOnline);
+        this.cancelRetry();
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
             this.syncInterval = null;
@@ -35,193 +71,427 @@ class SyncManager {
         }
     }
 
-    // Load dati dal cloud
-    async loadFromCloud() {
-        try {
-            const response = await this.fetchWithRetry(
-                `${this.baseUrl}/${this.binId}/latest`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'X-Master-Key': this.apiKey,
-                        'X-Bin-Meta': 'false'
-                    }
-                }
-            );
+    // Blocco dell'app: nessuna nuova sync, quella in corso finisce senza applicare dati remoti.
+    // Il chiamante attende questa promise prima di togliere la chiave di cifratura
+    async cancel() {
+        this.cancelled = true;
+        this.stopAutoSync();
+        if (this.currentSync) await this.currentSync.catch(() => {});
+    }
+
+    setStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        if (this.onStatusChange) this.onStatusChange(this.status);
+    }
+
+    async countPending() {
+        return dbManager.isReady ? (await dbManager.getPendingSyncOperations()).length : 0;
+    }
+
+    // Aggiorna lo stato dopo un tentativo di sync
+    async updateStatus(result) {
+        const pending = await this.countPending();
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (result.success) {
+            this.retryAttempts = 0;
+            this.cancelRetry();
+            this.setStatus({ state: pending > 0 ? 'pending' : 'synced', pending, error: null, lastSyncAt: new Date().toISOString() });
+        } else if (result.reason === 'conflicts') {
+            this.setStatus({ state: 'conflicts', pending, error: null });
+        } else if (result.error) {
+            this.setStatus({ state: 'failed', pending, error: result.error });
+            // Passphrase errata o app da aggiornare: riprovare da soli non serve
+            if (!result.needsPassphrase && !result.schemaTooNew) {
+                this.scheduleRetry();
+                await this.registerBackgroundSync();
             }
+        } else {
+            this.setStatus({ state: pending > 0 ? 'pending' : this.status.state, pending });
+        }
+    }
 
-            const data = await response.json();
-            this.lastSyncHash = this.hashData(data);
+    // Nuovo tentativo con backoff esponenziale (30s, 1m, 2m... fino a 15m)
+    scheduleRetry() {
+        this.cancelRetry();
+        const delay = Math.min(this.retryBaseDelay * 2 ** this.retryAttempts, this.retryMaxDelay);
+        this.retryAttempts++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.syncData();
+        }, delay);
+        this.setStatus({ nextRetryAt: new Date(Date.now() + delay).toISOString() });
+        console.log(`[Sync] Retry ${this.retryAttempts} in ${Math.round(delay / 1000)}s`);
+    }
 
-            console.log('[Sync] Data loaded from cloud');
-            return data;
-        } catch (error) {
-            console.error('[Sync] Load failed:', error);
-            throw error;
+    cancelRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
         }
+        if (this.status.nextRetryAt) this.setStatus({ nextRetryAt: null });
     }
 
-    // Salva dati sul cloud
-    async saveToCloud(data) {
-        if (this.isSyncing) {
-            console.warn('[Sync] Already syncing, skipping...');
+    // DIAGNOSTICA
+    beginAttempt() {
+        this.attempt = {
+            at: new Date().toISOString(),
+            startedAt: Date.now(),
+            backend: this.backend.config.backend || DEFAULT_SYNC_BACKEND,
+            requests: 0,
+            httpStatus: null,
+            bytesSent: 0,
+            bytesReceived: 0,
+            retries: 0,
+            conflictRetries: 0,
+            pulled: 0,
+            pushed: 0,
+            conflicts: 0
+        };
+    }
+
+    noteAttempt(changes) {
+        if (this.attempt) Object.assign(this.attempt, changes);
+    }
+
+    traceRequest(trace) {
+        if (!this.attempt) return;
+        this.attempt.requests++;
+        this.attempt.httpStatus = trace.status;
+        this.attempt.bytesSent += trace.bytesSent;
+        this.attempt.retries += trace.retries;
+    }
+
+    async finishAttempt(result) {
+        const { startedAt, ...attempt } = this.attempt;
+        this.attempt = null;
+
+        const outcome = result.success ? 'success'
+            : result.reason === 'conflicts' ? 'conflicts'
+            : result.reason === 'offline' ? 'offline'
+            : result.error ? 'failed' : 'skipped';
+        const entry = {
+            ...attempt,
+            durationMs: Date.now() - startedAt,
+            outcome,
+            action: result.action || null,
+            error: result.error || (outcome === 'skipped' ? result.reason : null),
+            httpStatus: result.status || attempt.httpStatus
+        };
+
+        const diagnostics = [...await this.getDiagnostics(), entry].slice(-this.maxDiagnostics);
+        this.diagnostics = diagnostics;
+        if (dbManager.isReady) await dbManager.setSetting(SYNC_DIAGNOSTICS_KEY, diagnostics);
+    }
+
+    async getDiagnostics() {
+        if (dbManager.isReady) this.diagnostics = await dbManager.getSetting(SYNC_DIAGNOSTICS_KEY, []);
+        return this.diagnostics;
+    }
+
+    async clearDiagnostics() {
+        this.diagnostics = [];
+        if (dbManager.isReady) await dbManager.setSetting(SYNC_DIAGNOSTICS_KEY, []);
+    }
+
+    // Il service worker riprova quando torna la rete, anche con l'app in background
+    async registerBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return false;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) return false;
+            await registration.sync.register(BACKGROUND_SYNC_TAG);
+            console.log('[Sync] Background sync registered');
+            return true;
+        } catch (error) {
+            console.warn('[Sync] Background sync not available:', error.message);
             return false;
         }
+    }
 
-        this.isSyncing = true;
+    // Ultimo seq remoto già applicato in locale (-1 = mai sincronizzato con questo backend)
+    async getCursor() {
+        if (!dbManager.isReady) return -1;
+        const cursor = await dbManager.getSetting(SYNC_CURSOR_KEY);
+        return cursor && cursor.identity === this.backend.identity ? cursor.seq : -1;
+    }
 
-        try {
-            // Aggiungi metadata di sync
-            const payload = {
-                ...data,
-                _meta: {
-                    lastSync: new Date().toISOString(),
-                    version: '1.0.0',
-                    device: navigator.userAgent.substring(0, 50)
-                }
-            };
+    async setCursor(seq) {
+        if (!dbManager.isReady) return;
+        await dbManager.setSetting(SYNC_CURSOR_KEY, { identity: this.backend.identity, seq });
+    }
 
-            const response = await this.fetchWithRetry(
-                `${this.baseUrl}/${this.binId}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Master-Key': this.apiKey
-                    },
-                    body: JSON.stringify(payload)
-                }
-            );
+    // Copie in chiaro dei client precedenti: lette così, cifrate alla prossima compattazione
+    async openPayload(data) {
+        return isCloudEnvelope(data) ? this.cipher.open(data) : data;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    // Applica a un documento lo snapshot e le operazioni ricevute dal log.
+    // Uno schema più recente di quello supportato blocca tutto prima di decifrare (cloud-schema.js);
+    // gli snapshot più vecchi vengono aggiornati, le operazioni contengono solo record già nel formato attuale.
+    // I conflitti con il documento locale finiscono in conflicts (se passato)
+    async replay(doc, pulled, conflicts = null) {
+        assertCloudSchemaSupported(pulled.schema);
+
+        let remote = {};
+        if (pulled.snapshot) {
+            const snapshot = await this.openPayload(pulled.snapshot.data);
+            remote = this.mergeData(remote, snapshot ? upgradeCloudDocument(snapshot) : {});
+        }
+        for (const op of pulled.ops) {
+            const entries = await this.openPayload(op.data);
+            remote = this.mergeData(remote, recordClock.entriesToDocument(entries || []));
+        }
+        return this.mergeData(doc, remote, conflicts);
+    }
+
+    // Stato completo ricostruito dal cloud (null se il backend è ancora vuoto)
+    async loadFromCloud() {
+        try {
+            const pulled = await this.backend.pullOps(-1);
+            if (!pulled.snapshot && pulled.ops.length === 0) return null;
 
+            const data = await this.replay({}, pulled);
             this.lastSyncHash = this.hashData(data);
-            this.retryAttempts = 0;
 
-            console.log('[Sync] Data saved to cloud');
-            return true;
+            console.log('[Sync] Data loaded from cloud');
+            return data;
         } catch (error) {
-            console.error('[Sync] Save failed:', error);
-
-            // Aggiungi alla sync queue per retry
-            if (dbManager.isReady) {
-                await dbManager.addToSyncQueue({
-                    type: 'save',
-                    data: data,
-                    error: error.message
-                });
-            }
-
+            console.error('[Sync] Load failed:', error);
             throw error;
-        } finally {
-            this.isSyncing = false;
         }
     }
 
-    // Sync bidirezionale con conflict resolution
-    async syncData(localData) {
+    // true se il cloud contiene già dati cifrati (va inserita la passphrase esistente)
+    async isRemoteEncrypted() {
+        const pulled = await this.backend.pullOps(-1);
+        const payloads = [pulled.snapshot && pulled.snapshot.data, ...pulled.ops.map(op => op.data)];
+        return payloads.some(isCloudEnvelope);
+    }
+
+    // Una sola voce per record: basta l'ultima versione timbrata
+    buildBatch(pending) {
+        const latest = new Map();
+        pending.forEach(op => {
+            latest.set(`${op.collection}:${op.record.id}`, { collection: op.collection, record: op.record });
+        });
+        return [...latest.values()];
+    }
+
+    // Punto di ingresso di ogni sync (salvataggi, timer, rete tornata, Background Sync).
+    // force = true riscrive sempre lo snapshot (es. dopo la rotazione della passphrase)
+    async syncData(localData, force = false) {
         if (this.isSyncing) {
-            console.warn('[Sync] Already syncing');
+            // Le modifiche salvate adesso non sono nel batch in corso: un passaggio in più le invia
+            console.warn('[Sync] Already syncing, another pass queued');
+            this.pendingResync = true;
             return { success: false, reason: 'already_syncing' };
         }
+        if (this.cancelled) {
+            return { success: false, reason: 'cancelled' };
+        }
 
         this.isSyncing = true;
+        this.currentSync = this.runSync(localData, force);
+        try {
+            return await this.currentSync;
+        } finally {
+            this.isSyncing = false;
+            this.currentSync = null;
+            // Un solo passaggio copre tutte le richieste arrivate nel frattempo
+            if (this.pendingResync && !this.cancelled) {
+                this.pendingResync = false;
+                this.syncData();
+            }
+        }
+    }
+
+    // Un tentativo di sync, registrato nella diagnostica
+    async runSync(localData, force) {
+        this.beginAttempt();
+
+        if (!navigator.onLine) {
+            const pending = await this.countPending();
+            this.setStatus({ state: pending > 0 ? 'pending' : this.status.state, pending });
+            if (pending > 0) await this.registerBackgroundSync();
+            const result = { success: false, reason: 'offline' };
+            await this.finishAttempt(result);
+            return result;
+        }
+
+        const result = await this.performSync(localData, 1, force);
+        await this.finishAttempt(result);
+        await this.updateStatus(result);
+        return result;
+    }
+
+    // Sync bidirezionale: pull delle operazioni remote, push di quelle in coda (in ordine), compattazione
+    async performSync(localData, attempt = 1, force = false) {
+        if (!localData && this.getLocalData) {
+            localData = await this.getLocalData();
+        }
+        if (!localData) {
+            return { success: false, reason: 'no_local_data' };
+        }
+
+        // Mai inviare dati in chiaro
+        if (!this.cipher.hasPassphrase()) {
+            return { success: false, reason: 'no_passphrase' };
+        }
+
+        // Sync in pausa finché restano conflitti da risolvere
+        const open = await this.getConflicts();
+        if (open.length > 0) {
+            return { success: false, reason: 'conflicts', conflicts: open };
+        }
+
+        this.setStatus({ state: 'syncing' });
 
         try {
-            // 1. Carica dati dal cloud
-            const cloudData = await this.loadFromCloud();
+            // 1. Pull: solo le operazioni successive al cursore
+            const cursor = await this.getCursor();
+            const pulled = await this.backend.pullOps(cursor);
+            this.noteAttempt({ pulled: pulled.ops.length, bytesReceived: new Blob([JSON.stringify(pulled)]).size });
+            const found = [];
+            const merged = await this.replay(localData, pulled, found);
+
+            // Conflitti: niente push e cursore fermo, il pull si ripete dopo la risoluzione
+            if (found.length > 0) {
+                this.noteAttempt({ conflicts: found.length });
+                await this.recordConflicts(found);
+                console.warn(`[Sync] ${found.length} conflicts detected, sync paused`);
+                return { success: false, reason: 'conflicts', conflicts: this.conflicts };
+            }
 
-            // 2. Confronta hash per vedere se ci sono modifiche
-            const localHash = this.hashData(localData);
-            const cloudHash = this.hashData(cloudData);
+            const localChanged = recordClock.documentHash(merged) !== recordClock.documentHash(localData);
 
-            if (localHash === cloudHash) {
-                console.log('[Sync] No changes detected');
-                return { success: true, action: 'no_changes' };
+            // 2. Push delle operazioni in coda, in un unico batch cifrato
+            const pending = dbManager.isReady ? await dbManager.getPendingSyncOperations() : [];
+            const deviceId = recordClock.getDeviceId();
+            let headSeq = pulled.headSeq;
+
+            try {
+                if (pending.length > 0) {
+                    const op = {
+                        deviceId,
+                        ts: new Date().toISOString(),
+                        schema: CLOUD_SCHEMA_VERSION,
+                        data: await this.cipher.seal(this.buildBatch(pending))
+                    };
+                    ({ headSeq } = await this.backend.pushOps([op], headSeq));
+                    this.noteAttempt({ pushed: pending.length });
+                    // Confermate dal backend: un retry successivo non le reinvia
+                    await dbManager.removeSyncOperations(pending.map(p => p.id));
+                }
+
+                // 3. Compattazione: primo sync, log ricreato o troppo lungo, copia legacy da cifrare
+                const needsSnapshot = force || cursor < 0 || pulled.reset ||
+                    (pulled.snapshot && pulled.snapshot.legacy) ||
+                    pulled.opCount + (pending.length > 0 ? 1 : 0) > this.compactEvery;
+                if (needsSnapshot) {
+                    const snapshot = {
+                        ...merged,
+                        schemaVersion: CLOUD_SCHEMA_VERSION,
+                        _meta: { deviceId, compactedAt: new Date().toISOString() }
+                    };
+                    await this.backend.saveSnapshot(await this.cipher.seal(snapshot), headSeq, CLOUD_SCHEMA_VERSION);
+                    console.log(`[Sync] Log compacted at seq ${headSeq}`);
+                }
+            } catch (error) {
+                if (!error.conflict || attempt >= this.maxConflictRetries) throw error;
+                // Un altro dispositivo ha scritto nel frattempo: si riparte dal pull
+                console.warn('[Sync] Remote log moved during sync, pulling again');
+                this.noteAttempt({ conflictRetries: attempt });
+                return await this.performSync(merged, attempt + 1, force);
             }
 
-            // 3. Determina quale versione è più recente
-            const localTimestamp = localData._meta?.lastSync || 0;
-            const cloudTimestamp = cloudData._meta?.lastSync || 0;
-
-            if (localTimestamp > cloudTimestamp) {
-                // Local è più recente, salva sul cloud
-                await this.saveToCloud(localData);
-                return { success: true, action: 'uploaded' };
-            } else if (cloudTimestamp > localTimestamp) {
-                // Cloud è più recente, usa cloud data
-                return { success: true, action: 'downloaded', data: cloudData };
-            } else {
-                // Stessi timestamp, possibile conflitto
-                const merged = this.mergeData(localData, cloudData);
-                await this.saveToCloud(merged);
-                return { success: true, action: 'merged', data: merged };
+            // App bloccata durante la sync: cursore fermo, le operazioni remote si riapplicano al prossimo sblocco
+            if (this.cancelled) {
+                console.warn('[Sync] Cancelled, remote changes not applied');
+                return { success: false, reason: 'cancelled' };
             }
+
+            await this.setCursor(headSeq);
+            this.lastSyncHash = this.hashData(merged);
+            this.retryAttempts = 0;
+
+            // 4. Le modifiche remote tornano all'app
+            if (localChanged && this.onRemoteChanges) {
+                await this.onRemoteChanges(merged);
+            }
+
+            console.log(`[Sync] Pulled ${pulled.ops.length} ops, pushed ${pending.length}, head ${headSeq}`);
+            const pushed = pending.length > 0;
+            const action = localChanged && pushed ? 'merged'
+                : localChanged ? 'downloaded'
+                : pushed ? 'uploaded' : 'no_changes';
+            return { success: true, action, data: merged };
         } catch (error) {
             console.error('[Sync] Sync failed:', error);
-            return { success: false, error: error.message };
-        } finally {
-            this.isSyncing = false;
+            return {
+                success: false,
+                error: error.message,
+                status: error.status,
+                needsPassphrase: !!error.needsPassphrase,
+                schemaTooNew: !!error.schemaTooNew
+            };
         }
     }
 
-    // Merge intelligente dei dati (last-write-wins per array items)
-    mergeData(local, cloud) {
-        const merged = { ...cloud };
-
-        // Merge transazioni (use more recent based on timestamp)
-        if (local.manualTransactions && cloud.manualTransactions) {
-            merged.manualTransactions = this.mergeArrays(
-                local.manualTransactions,
-                cloud.manualTransactions,
-                'id'
-            );
-        }
-
-        // Merge loans
-        if (local.activeLoans && cloud.activeLoans) {
-            merged.activeLoans = this.mergeArrays(
-                local.activeLoans,
-                cloud.activeLoans,
-                'id'
-            );
+    // Ri-cifra la copia cloud con una nuova passphrase; la vecchia serve solo per leggere l'ultima versione
+    async rotatePassphrase(newPassphrase) {
+        this.cipher.rotate(newPassphrase);
+        const result = await this.syncData(undefined, true);
+
+        if (!result.success) {
+            // Rotazione annullata: si torna alla passphrase precedente
+            this.cipher.setPassphrase(this.cipher.previousPassphrase);
+            throw new Error(result.error || (result.reason === 'conflicts'
+                ? 'Risolvi prima i conflitti di sincronizzazione'
+                : 'Rotazione passphrase non riuscita'));
         }
 
-        // Merge incomes
-        if (local.futureIncomes && cloud.futureIncomes) {
-            merged.futureIncomes = this.mergeArrays(
-                local.futureIncomes,
-                cloud.futureIncomes,
-                'desc' // usa desc come key per incomes
-            );
-        }
+        this.cipher.finishRotation();
+        console.log('[Sync] Passphrase rotated');
+        return result;
+    }
 
-        // Use most recent balance
-        if (local.currentBalance !== undefined) {
-            merged.currentBalance = local.currentBalance;
-        }
+    async getConflicts() {
+        if (dbManager.isReady) this.conflicts = await dbManager.getConflicts();
+        return this.conflicts;
+    }
 
-        console.log('[Sync] Data merged');
-        return merged;
+    // Un conflitto per record: un nuovo rilevamento sostituisce quello precedente
+    async recordConflicts(found) {
+        const detectedAt = Date.now();
+        const entries = found.map(conflict => ({ ...conflict, key: `${conflict.collection}:${conflict.id}`, detectedAt }));
+        const keys = new Set(entries.map(entry => entry.key));
+        this.conflicts = [...this.conflicts.filter(conflict => !keys.has(conflict.key)), ...entries];
+        if (dbManager.isReady) await dbManager.saveConflicts(entries);
     }
 
-    // Helper per merge array con deduplicazione
-    mergeArrays(arr1, arr2, key) {
-        const map = new Map();
+    // choice = 'local' | 'remote' | { campo: 'local' | 'remote' }.
+    // Il record risolto entra nella coda di sync; l'app lo applica al proprio stato.
+    // Ritorna { collection, record, remaining }: con remaining = 0 la sync può ripartire.
+    async resolveConflict(key, choice) {
+        const conflict = (await this.getConflicts()).find(item => item.key === key);
+        if (!conflict) throw new Error('Conflitto non trovato');
+
+        const record = resolveRecord(conflict.local, conflict.remote, choice, recordClock.getDeviceId());
+        if (dbManager.isReady) {
+            await dbManager.enqueueOperations([{ collection: conflict.collection, record }]);
+            await dbManager.removeConflict(key);
+        }
+        this.conflicts = this.conflicts.filter(item => item.key !== key);
 
-        [...arr1, ...arr2].forEach(item => {
-            const itemKey = item[key];
-            if (!map.has(itemKey) || item.timestamp > map.get(itemKey).timestamp) {
-                map.set(itemKey, item);
-            }
-        });
+        console.log(`[Sync] Conflict ${key} resolved`);
+        return { collection: conflict.collection, record, remaining: this.conflicts.length };
+    }
 
-        return Array.from(map.values());
+    // Merge campo per campo di ogni record; le eliminazioni restano come tombstone
+    mergeData(local, cloud, conflicts = null) {
+        const merged = recordClock.mergeDocuments(local, cloud, conflicts);
+        delete merged._meta;
+        return merged;
     }
 
     // Hash semplice per change detection
@@ -236,73 +506,21 @@ class SyncManager {
         return hash.toString();
     }
 
-    // Fetch con retry exponential backoff
-    async fetchWithRetry(url, options, attempt = 1) {
-        try {
-            const response = await fetch(url, options);
-
-            // Se 5xx, retry
-            if (response.status >= 500 && attempt < this.maxRetries) {
-                const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                console.log(`[Sync] Retry ${attempt}/${this.maxRetries} in ${delay}ms`);
-                await this.sleep(delay);
-                return this.fetchWithRetry(url, options, attempt + 1);
-            }
-
-            return response;
-        } catch (error) {
-            if (attempt < this.maxRetries) {
-                const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                console.log(`[Sync] Network error, retry ${attempt}/${this.maxRetries} in ${delay}ms`);
-                await this.sleep(delay);
-                return this.fetchWithRetry(url, options, attempt + 1);
-            }
-            throw error;
-        }
-    }
-
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    // Process sync queue (operazioni pending offline)
+    // Process sync queue (operazioni pending offline), in ordine di inserimento
     async processSyncQueue() {
-        if (!dbManager.isReady) return;
+        const pending = await this.countPending();
 
-        const pending = await dbManager.getPendingSyncOperations();
-
-        if (pending.length === 0) {
-            return;
+        if (pending === 0) {
+            return { success: true, action: 'no_changes' };
         }
 
-        console.log(`[Sync] Processing ${pending.length} pending operations`);
-
-        for (const operation of pending) {
-            try {
-                if (operation.type === 'save') {
-                    await this.saveToCloud(operation.data);
-                }
-
-                await dbManager.markAsSynced(operation.id);
-            } catch (error) {
-                console.error('[Sync] Failed to process operation:', operation.id, error);
-            }
-        }
-
-        // Cleanup
-        await dbManager.clearSyncedOperations();
+        console.log(`[Sync] Processing ${pending} pending operations`);
+        return this.syncData();
     }
 
     // Check connessione
     async checkConnection() {
-        try {
-            const response = await fetch('https://api.jsonbin.io/v3/b', {
-                method: 'HEAD',
-                headers: { 'X-Master-Key': this.apiKey }
-            });
-            return response.ok;
-        } catch {
-            return false;
-        }
+        const health = await this.backend.healthCheck();
+        return health.ok;
     }
 }
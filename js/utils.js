@@ -46,14 +46,101 @@ function formatDate(date, locale = 'it-IT', options = {}) {
     return new Date(date).toLocaleDateString(locale, defaultOptions);
 }
 
-// Compress string (per ridurre dimensione sync)
-function compressString(str) {
-    // Simple encoding, non vera compressione
-    return btoa(encodeURIComponent(str));
+// Format dimensione in byte (es. 1,5 KB)
+function formatBytes(bytes, locale = 'it-IT') {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toLocaleString(locale, { maximumFractionDigits: exponent ? 1 : 0 })} ${units[exponent]}`;
 }
 
-function decompressString(str) {
-    return decodeURIComponent(atob(str));
+// Compressione reale con CompressionStream (gzip o deflate/zlib).
+// Il formato usato viaggia sempre insieme ai dati (campo compression o magic bytes gzip):
+// null = dati non compressi, come quelli scritti prima della compressione o dai browser senza supporto.
+function isCompressionSupported(format = 'gzip') {
+    if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') return false;
+    try {
+        new CompressionStream(format);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function compressBytes(bytes, format = 'gzip') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decompressBytes(bytes, format = 'gzip') {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Questo browser non supporta la decompressione dei dati');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Ritorna { format, bytes }. Senza supporto, o se non conviene (payload piccoli), format = null
+async function compressString(str, format = 'gzip') {
+    const bytes = new TextEncoder().encode(str);
+    if (!isCompressionSupported(format)) return { format: null, bytes };
+
+    const compressed = await compressBytes(bytes, format);
+    return compressed.length < bytes.length ? { format, bytes: compressed } : { format: null, bytes };
+}
+
+async function decompressString(bytes, format = null) {
+    const plain = format ? await decompressBytes(bytes, format) : bytes;
+    return new TextDecoder().decode(plain);
+}
+
+// File gzip (es. backup .json.gz): riconosciuti dai magic bytes 1f 8b
+function isGzipData(bytes) {
+    return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+// Testo da un file che può essere compresso o no
+async function readTextFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return decompressString(bytes, isGzipData(bytes) ? 'gzip' : null);
+}
+
+// Righe di una transazione: le ripartizioni (splits) se presenti, altrimenti la transazione intera
+function transactionParts(transaction) {
+    if (Array.isArray(transaction.splits) && transaction.splits.length) {
+        return transaction.splits.map(split => ({
+            category: split.category || 'other',
+            amount: parseFloat(split.amount) || 0,
+            note: split.note || ''
+        }));
+    }
+    return [{ category: transaction.category || 'other', amount: parseFloat(transaction.amount) || 0, note: '' }];
+}
+
+// Quota di una transazione che ricade nelle categorie accettate da match(categoryId)
+function transactionAmountFor(transaction, match) {
+    return transactionParts(transaction)
+        .filter(part => match(part.category))
+        .reduce((sum, part) => sum + part.amount, 0);
+}
+
+// Errori di una ripartizione (vuoto = valida): almeno due righe, importi positivi, somma = totale al centesimo
+function validateSplits(total, splits) {
+    const errors = [];
+    if (splits.length < 2) errors.push('Servono almeno due righe');
+    if (splits.some(split => !(parseFloat(split.amount) > 0))) errors.push('Ogni riga deve avere un importo positivo');
+    const cents = splits.reduce((sum, split) => sum + Math.round((parseFloat(split.amount) || 0) * 100), 0);
+    if (cents !== Math.round(parseFloat(total) * 100)) {
+        errors.push(`Le righe sommano €${(cents / 100).toFixed(2)} invece di €${parseFloat(total).toFixed(2)}`);
+    }
+    return errors;
+}
+
+// Tag da stringa "a, #b" o array: minuscoli, senza # iniziale, senza duplicati
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
 }
 
 // Generate unique ID
@@ -127,25 +214,102 @@ function getMonthBounds(date = new Date()) {
     return { start, end };
 }
 
+// Data locale come chiave 'YYYY-MM-DD' (toISOString sposterebbe il giorno con il fuso orario)
+function toDateKey(date) {
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// 'YYYY-MM-DD' -> Date locale a mezzanotte (new Date('YYYY-MM-DD') sarebbe UTC)
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Settimana ISO 8601: la settimana 1 è quella con il primo giovedì dell'anno
+function getIsoWeek(date = new Date()) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getDay() + 6) % 7) / 7);
+    return { year: thursday.getFullYear(), week };
+}
+
+// Start/end del periodo che contiene date: 'weekly' (lunedì-domenica), 'monthly', 'quarterly', 'yearly'
+function getPeriodBounds(period, date = new Date()) {
+    const year = date.getFullYear();
+    let start, end;
+    switch (period) {
+        case 'weekly':
+            start = new Date(year, date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+            end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+            break;
+        case 'quarterly': {
+            const firstMonth = Math.floor(date.getMonth() / 3) * 3;
+            start = new Date(year, firstMonth, 1);
+            end = new Date(year, firstMonth + 3, 0);
+            break;
+        }
+        case 'yearly':
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+            break;
+        case 'monthly':
+            start = new Date(year, date.getMonth(), 1);
+            end = new Date(year, date.getMonth() + 1, 0);
+            break;
+        default:
+            throw new Error(`Periodo sconosciuto: ${period}`);
+    }
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+}
+
 // Check if date is in range
 function isDateInRange(date, start, end) {
     const d = new Date(date);
     return d >= start && d <= end;
 }
 
+// Chiavi localStorage con dati finanziari o credenziali: cifrate a riposo dopo lo sblocco
+const SENSITIVE_STORAGE_KEYS = ['futura_cloud_config', 'futura_sync_passphrase', 'budgets', 'recurrings', 'custom_categories', 'category_overrides', 'category_rules', 'budget_templates'];
+
 // Simple storage helpers
+// Con un cipher attivo (dopo lo sblocco) i valori sono scritti cifrati e letti da una cache in memoria
 const storage = {
+    cipher: null,
+    cache: new Map(),
+
     get(key, defaultValue = null) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
         try {
             const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : defaultValue;
+            if (!item) return defaultValue;
+            const value = JSON.parse(item);
+            // Valore cifrato e storage bloccato: illeggibile
+            return isSealed(value) ? defaultValue : value;
         } catch {
             return defaultValue;
         }
     },
 
     set(key, value) {
+        // Bloccato con la cifratura attiva: un valore sensibile o già cifrato non va riscritto in chiaro
+        if (!this.cipher && this.isLockedKey(key)) {
+            throw new Error('Dati bloccati: sblocca con il PIN');
+        }
         try {
+            if (this.cipher) {
+                this.cache.set(key, value);
+                // Scrittura asincrona: un errore qui non arriva al chiamante, va segnalato
+                this.writeSealed(key, value, this.cipher).catch(error => {
+                    console.error(`[Storage] Encrypted write of ${key} failed:`, error);
+                    showToast('Salvataggio non riuscito: i dati restano solo in memoria', 'error');
+                });
+                return true;
+            }
             localStorage.setItem(key, JSON.stringify(value));
             return true;
         } catch {
@@ -153,12 +317,78 @@ const storage = {
         }
     },
 
+    isLockedKey(key) {
+        if (typeof cryptoManager === 'undefined' || !cryptoManager.isConfigured()) return false;
+        if (SENSITIVE_STORAGE_KEYS.includes(key)) return true;
+        try {
+            return isSealed(JSON.parse(localStorage.getItem(key)));
+        } catch {
+            return false;
+        }
+    },
+
+    has(key) {
+        return localStorage.getItem(key) !== null;
+    },
+
     remove(key) {
+        this.cache.delete(key);
         localStorage.removeItem(key);
     },
 
     clear() {
+        this.cache.clear();
         localStorage.clear();
+    },
+
+    async writeSealed(key, value, cipher) {
+        const sealed = await cipher.encrypt(value);
+        // La chiave potrebbe essere stata rimossa o riscritta nel frattempo
+        if (this.cache.get(key) === value) {
+            localStorage.setItem(key, JSON.stringify({ __enc: sealed }));
+        }
+    },
+
+    // Decifra tutte le voci cifrate in cache e cifra quelle sensibili ancora in chiaro
+    async unlock(cipher) {
+        this.cipher = cipher;
+        this.cache.clear();
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+
+        for (const key of keys) {
+            let value;
+            try {
+                value = JSON.parse(localStorage.getItem(key));
+            } catch {
+                continue;
+            }
+
+            if (isSealed(value)) {
+                this.cache.set(key, await cipher.decrypt(value.__enc));
+            } else if (SENSITIVE_STORAGE_KEYS.includes(key)) {
+                this.cache.set(key, value);
+                await this.writeSealed(key, value, cipher);
+            }
+        }
+    },
+
+    lock() {
+        this.cipher = null;
+        this.cache.clear();
+    },
+
+    // Cifra tutte le voci con un nuovo cipher (cambio PIN) e ritorna la funzione che le scrive:
+    // la scrittura è sincrona, così il chiamante la fa subito dopo il commit del DB
+    async reencrypt(cipher) {
+        const sealed = [];
+        for (const [key, value] of this.cache) {
+            sealed.push([key, await cipher.encrypt(value)]);
+        }
+        return () => sealed.forEach(([key, value]) => localStorage.setItem(key, JSON.stringify({ __enc: value })));
     }
 };
 
@@ -1,5 +1,6 @@
 // Service Worker per FUTURA SYNC PWA
-const CACHE_VERSION = 'futura-sync-v1.0.0';
+// Da aggiornare a ogni modifica di STATIC_ASSETS o dei file elencati: la cache vecchia viene eliminata all'activate
+const CACHE_VERSION = 'futura-sync-v1.1.0';
 const CACHE_STATIC = `${CACHE_VERSION}-static`;
 const CACHE_DYNAMIC = `${CACHE_VERSION}-dynamic`;
 const CACHE_API = `${CACHE_VERSION}-api`;
@@ -13,14 +14,23 @@ const STATIC_ASSETS = [
   '/icons/icon-512.png',
   '/icons/icon-maskable-512.png',
   '/icons/apple-touch-icon.png',
+  '/js/db-migrations.js',
   '/js/db.js',
+  '/js/record-clock.js',
+  '/js/sync-backends.js',
+  '/js/cloud-schema.js',
   '/js/sync-manager.js',
   '/js/analytics.js',
   '/js/categories.js',
+  '/js/rules.js',
+  '/js/classifier.js',
   '/js/budget.js',
+  '/js/budget-templates.js',
   '/js/recurring.js',
   '/js/notifications.js',
   '/js/utils.js',
+  '/js/crypto.js',
+  '/js/auth.js',
   'https://cdn.tailwindcss.com',
   'https://unpkg.com/vue@3/dist/vue.global.prod.js',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
@@ -79,6 +89,11 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Richieste dei backend di sync (JSONbin, WebDAV, REST): sempre dalla rete
+  if (request.cache === 'no-store') {
+    return;
+  }
+
   // API JSONbin.io - Network First con fallback offline
   if (url.hostname.includes('jsonbin.io')) {
     event.respondWith(networkFirstStrategy(request, CACHE_API));
@@ -176,19 +191,32 @@ self.addEventListener('sync', (event) => {
   }
 });
 
+// La coda è cifrata e la chiave esiste solo nella pagina sbloccata: il service worker
+// chiede a una finestra aperta di svuotarla. Se nessuna ci riesce, la promise viene rifiutata
+// e il browser ripete il Background Sync più tardi.
+const BACKGROUND_SYNC_TIMEOUT = 60 * 1000;
+
+function requestClientSync(client) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(false), BACKGROUND_SYNC_TIMEOUT);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(!!(event.data && event.data.success));
+    };
+    client.postMessage({ type: 'BACKGROUND_SYNC', action: 'sync-requested' }, [channel.port2]);
+  });
+}
+
 async function syncDataWithCloud() {
-  try {
-    // Questo sarà gestito dal sync-manager.js lato client
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'BACKGROUND_SYNC',
-        action: 'sync-requested'
-      });
-    });
-  } catch (error) {
-    console.error('[SW] Background sync failed:', error);
+  const clients = await self.clients.matchAll({ type: 'window' });
+  for (const client of clients) {
+    if (await requestClientSync(client)) {
+      console.log('[SW] Background sync completed');
+      return;
+    }
   }
+  throw new Error('Nessuna finestra sbloccata ha completato la sync');
 }
 
 // Push notifications (se supportato)
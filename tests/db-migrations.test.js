@@ -0,0 +1,172 @@
+// Test migrazioni IndexedDB: database creati con lo schema delle versioni rilasciate (v1, v2)
+// vengono aperti da dbManager, che li porta all'ultima versione con runMigrations.
+// Gli script dell'app sono globali (come nel browser): vengono caricati nello stesso contesto.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory } = require('fake-indexeddb');
+
+global.window = global;
+global.addEventListener = () => {};
+const localData = {};
+global.localStorage = {
+    getItem: key => (key in localData ? localData[key] : null),
+    setItem: (key, value) => { localData[key] = String(value); },
+    removeItem: key => { delete localData[key]; }
+};
+
+['utils.js', 'crypto.js', 'db-migrations.js', 'db.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), { filename: file });
+});
+const app = name => vm.runInThisContext(name);
+
+// Schema delle versioni rilasciate, scritto a mano: non dipende dal codice delle migrazioni
+const FIXTURE_SCHEMAS = {
+    1(db) {
+        const transactions = db.createObjectStore('transactions', { keyPath: 'id', autoIncrement: true });
+        ['date', 'type', 'category', 'timestamp'].forEach(name => transactions.createIndex(name, name));
+        const loans = db.createObjectStore('loans', { keyPath: 'id' });
+        ['debtor', 'date', 'status'].forEach(name => loans.createIndex(name, name));
+        db.createObjectStore('incomes', { keyPath: 'id', autoIncrement: true }).createIndex('received', 'received');
+        const recurring = db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+        recurring.createIndex('active', 'active');
+        recurring.createIndex('nextDate', 'nextDate');
+        const budgets = db.createObjectStore('budgets', { keyPath: 'id', autoIncrement: true });
+        budgets.createIndex('category', 'category', { unique: true });
+        budgets.createIndex('month', 'month');
+        db.createObjectStore('settings', { keyPath: 'key' });
+        const syncQueue = db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
+        syncQueue.createIndex('timestamp', 'timestamp');
+        syncQueue.createIndex('synced', 'synced');
+    },
+    2(db) {
+        FIXTURE_SCHEMAS[1](db);
+        db.createObjectStore('goals', { keyPath: 'id' }).createIndex('completed', 'completed');
+        db.createObjectStore('installments', { keyPath: 'id' });
+        db.createObjectStore('balanceHistory', { keyPath: 'id' });
+    }
+};
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Crea FuturaSyncDB alla versione indicata e inserisce i record { store: [record] }
+async function createFixture(version, records) {
+    const open = indexedDB.open('FuturaSyncDB', version);
+    open.onupgradeneeded = () => FIXTURE_SCHEMAS[version](open.result);
+    const db = await request(open);
+
+    const storeNames = Object.keys(records);
+    if (storeNames.length === 0) {
+        db.close();
+        return;
+    }
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => records[name].forEach(record => transaction.objectStore(name).put(record)));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+    db.close();
+}
+
+async function openMigrated() {
+    const dbManager = app('dbManager');
+    await dbManager.init();
+    return dbManager;
+}
+
+function index(dbManager, storeName, name) {
+    return dbManager.db.transaction([storeName], 'readonly').objectStore(storeName).index(name);
+}
+
+beforeEach(() => {
+    // Database vuoto e dbManager da riaprire a ogni test
+    global.indexedDB = new IDBFactory();
+    const dbManager = app('dbManager');
+    if (dbManager.db) dbManager.db.close();
+    Object.assign(dbManager, { db: null, isReady: false, initPromise: null, cipher: null });
+});
+
+test('v1: backfill dei budget e indice category non univoco (v3)', async () => {
+    await createFixture(1, {
+        budgets: [
+            { id: 1, category: 'food', amount: 300, month: '2024-01' },
+            { id: 2, category: 'home', amount: 800, month: '2024-01', spent: 120, createdAt: '2024-01-01T00:00:00.000Z' }
+        ]
+    });
+    const dbManager = await openMigrated();
+
+    const category = index(dbManager, 'budgets', 'category');
+    assert.equal(category.unique, false);
+    assert.deepEqual(index(dbManager, 'budgets', 'categoryMonth').keyPath, ['category', 'month']);
+
+    const [food, home] = await dbManager.getAll('budgets');
+    assert.equal(food.spent, 0);
+    assert.equal(typeof food.createdAt, 'string');
+    assert.equal(home.spent, 120);
+    assert.equal(home.createdAt, '2024-01-01T00:00:00.000Z');
+
+    // Con l'indice non univoco la stessa categoria può avere un budget per mese
+    await dbManager.add('budgets', { category: 'food', amount: 300, month: '2024-02' });
+    assert.equal((await dbManager.getByIndex('budgets', 'category', 'food')).length, 2);
+});
+
+test('v1: la vecchia coda di sync viene svuotata (v4)', async () => {
+    await createFixture(1, {
+        syncQueue: [
+            { id: 1, timestamp: 1, synced: false, data: { currentBalance: 10 } },
+            { id: 2, timestamp: 2, synced: true, data: { currentBalance: 20 } }
+        ]
+    });
+    const dbManager = await openMigrated();
+
+    assert.deepEqual(await dbManager.getAll('syncQueue'), []);
+    assert.equal(index(dbManager, 'syncQueue', 'synced').keyPath, 'synced');
+});
+
+test('v2: store conflicts con indice detectedAt (v5) e dati esistenti intatti', async () => {
+    await createFixture(2, {
+        goals: [{ id: 'g1', name: 'Vacanze', targetAmount: 1500, completed: 0 }],
+        settings: [{ key: 'migrationLog', value: [] }]
+    });
+    const dbManager = await openMigrated();
+
+    assert.ok(dbManager.db.objectStoreNames.contains('conflicts'));
+    assert.equal(index(dbManager, 'conflicts', 'detectedAt').keyPath, 'detectedAt');
+    assert.deepEqual(await dbManager.getAll('goals'), [{ id: 'g1', name: 'Vacanze', targetAmount: 1500, completed: 0 }]);
+
+    const log = await dbManager.getMigrationLog();
+    assert.deepEqual(log.map(entry => entry.version), [3, 4, 5]);
+});
+
+test('v1: tutte le migrazioni registrate in ordine nello storico', async () => {
+    await createFixture(1, {});
+    const dbManager = await openMigrated();
+
+    assert.equal(dbManager.db.version, app('DB_VERSION'));
+    const log = await dbManager.getMigrationLog();
+    assert.deepEqual(log.map(entry => entry.version), [2, 3, 4, 5]);
+    ['goals', 'installments', 'balanceHistory'].forEach(name => assert.ok(dbManager.db.objectStoreNames.contains(name)));
+});
+
+test('v1: i budget cifrati restano in attesa dello sblocco', async () => {
+    await createFixture(1, {
+        budgets: [
+            { id: 1, __enc: { v: 1, iv: 'aXY=', data: 'ZGF0YQ==' } },
+            { id: 2, category: 'home', amount: 800, month: '2024-01' }
+        ]
+    });
+    const dbManager = await openMigrated();
+
+    assert.deepEqual(await dbManager.getSetting(app('PENDING_MIGRATIONS_KEY')), [{ version: 3, store: 'budgets' }]);
+    const log = await dbManager.getMigrationLog();
+    assert.ok(log.find(entry => entry.version === 3).messages.some(message => message.includes('1 record cifrati')));
+});
@@ -0,0 +1,122 @@
+// Test merge per record (record-clock.js): conflitti sullo stesso campo, tombstone contro modifiche
+// precedenti e merge indipendente dall'ordine. Ogni "dispositivo" timbra le proprie copie con stampRecord.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+global.window = global;
+global.addEventListener = () => {};
+global.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+
+['utils.js', 'record-clock.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), { filename: file });
+});
+const app = name => vm.runInThisContext(name);
+
+// Record timbrato da un dispositivo, a un istante fisso per avere risultati ripetibili
+function stamped(record, deviceId, now = '2024-01-01T00:00:00.000Z') {
+    const copy = structuredClone(record);
+    app('stampRecord')(copy, deviceId, now);
+    return copy;
+}
+
+// Modifica di una copia già sincronizzata, timbrata dal dispositivo che la fa
+function edit(record, changes, deviceId, now) {
+    return stamped({ ...structuredClone(record), ...changes }, deviceId, now);
+}
+
+function doc(transactions, tombstones = []) {
+    return { manualTransactions: transactions, _tombstones: { manualTransactions: tombstones } };
+}
+
+test('modifiche concorrenti allo stesso campo: conflitto', () => {
+    const base = stamped({ id: 't1', amount: 10, desc: 'Spesa' }, 'A');
+    const onA = edit(base, { amount: 12 }, 'A', '2024-01-02T00:00:00.000Z');
+    const onB = edit(base, { amount: 15 }, 'B', '2024-01-02T00:00:00.000Z');
+
+    assert.deepEqual(app('conflictingFields')(onA, onB), ['amount']);
+    assert.deepEqual(app('conflictingFields')(onB, onA), ['amount']);
+
+    const conflicts = [];
+    const merged = app('recordClock').mergeDocuments(doc([onA]), doc([onB]), conflicts);
+    assert.equal(conflicts.length, 1);
+    assert.deepEqual(conflicts[0].fields, ['amount']);
+    // Finché il conflitto è aperto resta la copia locale
+    assert.equal(merged.manualTransactions[0].amount, 12);
+});
+
+test('campi diversi modificati in parallelo: nessun conflitto, merge di entrambi', () => {
+    const base = stamped({ id: 't1', amount: 10, desc: 'Spesa' }, 'A');
+    const onA = edit(base, { amount: 12 }, 'A', '2024-01-02T00:00:00.000Z');
+    const onB = edit(base, { desc: 'Supermercato' }, 'B', '2024-01-02T00:00:00.000Z');
+
+    assert.deepEqual(app('conflictingFields')(onA, onB), []);
+    const merged = app('mergeRecords')(onA, onB);
+    assert.equal(merged.amount, 12);
+    assert.equal(merged.desc, 'Supermercato');
+    assert.deepEqual(merged._sync.clock, { A: 2, B: 1 });
+});
+
+test('modifica già vista dall\'altra copia: vince la versione successiva', () => {
+    const base = stamped({ id: 't1', amount: 10 }, 'A');
+    const later = edit(base, { amount: 20 }, 'B', '2024-01-02T00:00:00.000Z');
+
+    assert.deepEqual(app('conflictingFields')(base, later), []);
+    assert.equal(app('mergeRecords')(base, later).amount, 20);
+    assert.equal(app('mergeRecords')(later, base).amount, 20);
+});
+
+test('tombstone successiva a una modifica la batte in entrambi gli ordini', () => {
+    const base = stamped({ id: 't1', amount: 10 }, 'A');
+    const edited = edit(base, { amount: 30 }, 'B', '2024-01-02T00:00:00.000Z');
+    // A riceve la modifica di B e poi elimina il record
+    const tombstone = app('createTombstone')('t1', edited._sync, 'A', '2024-01-03T00:00:00.000Z');
+
+    const recordClock = app('recordClock');
+    [recordClock.mergeDocuments(doc([edited]), doc([], [tombstone])),
+        recordClock.mergeDocuments(doc([], [tombstone]), doc([edited]))].forEach(merged => {
+        assert.deepEqual(merged.manualTransactions, []);
+        assert.equal(merged._tombstones.manualTransactions.length, 1);
+        assert.equal(merged._tombstones.manualTransactions[0]._deleted, true);
+    });
+});
+
+test('eliminazione concorrente a una modifica: conflitto sul campo _deleted', () => {
+    const base = stamped({ id: 't1', amount: 10 }, 'A');
+    const edited = edit(base, { amount: 30 }, 'B', '2024-01-02T00:00:00.000Z');
+    const tombstone = app('createTombstone')('t1', base._sync, 'A', '2024-01-02T00:00:00.000Z');
+
+    assert.ok(app('conflictingFields')(tombstone, edited).length > 0);
+});
+
+test('mergeDocuments non dipende dall\'ordine degli argomenti', () => {
+    const t1 = stamped({ id: 't1', amount: 10, desc: 'Spesa' }, 'A');
+    const t2 = stamped({ id: 't2', amount: 5 }, 'A');
+    const t3 = stamped({ id: 't3', amount: 8 }, 'B', '2024-01-02T00:00:00.000Z');
+    const local = {
+        ...doc([edit(t1, { amount: 11 }, 'A', '2024-01-03T00:00:00.000Z'), t2]),
+        currentBalance: 100,
+        updatedAt: '2024-01-03T00:00:00.000Z'
+    };
+    const remote = {
+        ...doc([edit(t1, { desc: 'Mercato' }, 'B', '2024-01-03T00:00:00.000Z'), t3],
+            [app('createTombstone')('t2', t2._sync, 'B', '2024-01-04T00:00:00.000Z')]),
+        currentBalance: 100,
+        updatedAt: '2024-01-04T00:00:00.000Z'
+    };
+
+    const recordClock = app('recordClock');
+    const ab = recordClock.mergeDocuments(local, remote);
+    const ba = recordClock.mergeDocuments(remote, local);
+    assert.equal(recordClock.documentHash(ab), recordClock.documentHash(ba));
+    assert.deepEqual(ab.manualTransactions.map(t => t.id).sort(), ['t1', 't3']);
+    assert.deepEqual(ab._tombstones.manualTransactions.map(t => t.id), ['t2']);
+    assert.equal(ab.manualTransactions.find(t => t.id === 't1').amount, 11);
+    assert.equal(ab.manualTransactions.find(t => t.id === 't1').desc, 'Mercato');
+
+    // Riapplicare lo stesso merge non cambia nulla
+    assert.equal(recordClock.documentHash(recordClock.mergeDocuments(ab, remote)), recordClock.documentHash(ab));
+});
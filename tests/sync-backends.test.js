@@ -0,0 +1,211 @@
+// Test adapter dei backend di sync con fetch simulato: scrittura condizionale con ETag (412 e nuovo pull),
+// server senza ETag, hash di contenuto di JSONbin ed endpoint ops/snapshot del backend REST.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+global.window = global;
+global.addEventListener = () => {};
+global.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+
+['utils.js', 'sync-backends.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), { filename: file });
+});
+const app = name => vm.runInThisContext(name);
+
+// Richieste ricevute dal fetch simulato: { url, method, headers, body }
+let requests;
+
+// fetch simulato: handler(request) ritorna { status, body, headers }
+function stubFetch(handler) {
+    global.fetch = async (url, options = {}) => {
+        const request = {
+            url,
+            method: options.method || 'GET',
+            headers: options.headers || {},
+            body: options.body === undefined ? undefined : JSON.parse(options.body)
+        };
+        requests.push(request);
+        const { status = 200, body, headers = {} } = handler(request);
+        return new Response(body === undefined ? null : JSON.stringify(body), { status, headers });
+    };
+}
+
+// File remoto con ETag, come un server WebDAV: If-Match / If-None-Match rispettati
+function etagServer({ etags = true } = {}) {
+    const server = { data: null, version: 0 };
+    server.etag = () => `"v${server.version}"`;
+    server.handle = request => {
+        const headers = etags && server.data ? { ETag: server.etag() } : {};
+        if (request.method === 'GET') {
+            return server.data ? { body: server.data, headers } : { status: 404 };
+        }
+        const ifMatch = request.headers['If-Match'];
+        const ifNoneMatch = request.headers['If-None-Match'];
+        if ((ifMatch && ifMatch !== server.etag()) || (ifNoneMatch === '*' && server.data)) {
+            return { status: 412 };
+        }
+        server.data = request.body;
+        server.version++;
+        return { status: 201, headers: etags ? { ETag: server.etag() } : {} };
+    };
+    // Scrittura di un altro dispositivo, fuori dal backend sotto test
+    server.writeFromOtherDevice = log => {
+        server.data = log;
+        server.version++;
+    };
+    return server;
+}
+
+function op(deviceId, data = 'x') {
+    return { deviceId, ts: '2024-01-01T00:00:00.000Z', schema: 1, data };
+}
+
+function webdav() {
+    const backend = app('createSyncBackend')({ backend: 'webdav', url: 'https://dav.example.com/futura.json', username: 'utente', password: 'segreta' });
+    backend.retryDelay = 0;
+    return backend;
+}
+
+beforeEach(() => {
+    requests = [];
+});
+
+test('ETag: 412 se il file è cambiato dopo il pull, il nuovo pull riparte dalla versione aggiornata', async () => {
+    const server = etagServer();
+    stubFetch(server.handle);
+    const backend = webdav();
+
+    // Primo pull: file assente, creato con If-None-Match
+    let pulled = await backend.pullOps(-1);
+    assert.equal(pulled.headSeq, 0);
+    await backend.pushOps([op('A')], pulled.headSeq);
+    assert.equal(requests.at(-1).headers['If-None-Match'], '*');
+    assert.equal(server.data.headSeq, 1);
+
+    pulled = await backend.pullOps(1);
+    server.writeFromOtherDevice({ ...server.data, headSeq: 2, ops: [...server.data.ops, { ...op('B'), seq: 2 }] });
+
+    // Il log in cache è vecchio: PUT con If-Match scaduto, 412 e cache invalidata
+    await assert.rejects(backend.pushOps([op('A')], pulled.headSeq), error => error.conflict && error.status === 412);
+    assert.equal(requests.at(-1).headers['If-Match'], '"v1"');
+    assert.equal(backend.opLog, null);
+
+    // Nuovo pull: arriva l'operazione dell'altro dispositivo, poi il push va a buon fine
+    pulled = await backend.pullOps(1);
+    assert.deepEqual(pulled.ops.map(entry => [entry.seq, entry.deviceId]), [[2, 'B']]);
+    assert.deepEqual(await backend.pushOps([op('A')], pulled.headSeq), { headSeq: 3 });
+    assert.equal(requests.at(-1).headers['If-Match'], '"v2"');
+    assert.deepEqual(server.data.ops.map(entry => entry.seq), [1, 2, 3]);
+});
+
+test('ETag: credenziali in Basic auth, compattazione condizionale come il push', async () => {
+    const server = etagServer();
+    stubFetch(server.handle);
+    const backend = webdav();
+
+    await backend.pushOps([op('A'), op('A')], (await backend.pullOps(-1)).headSeq);
+    assert.equal(requests[0].headers.Authorization, 'Basic ' + Buffer.from('utente:segreta').toString('base64'));
+
+    // Push e compattazione nella stessa sync riusano il log appena scritto: nessun GET in più
+    const before = requests.length;
+    await backend.saveSnapshot('snap', 2, 2);
+    assert.equal(requests.length, before + 1);
+    assert.equal(requests.at(-1).method, 'PUT');
+    assert.deepEqual(server.data.snapshot, { seq: 2, schema: 2, data: 'snap' });
+    assert.deepEqual(server.data.ops, []);
+
+    // Seq diverso dalla testa del log: nessuna scrittura
+    await assert.rejects(backend.saveSnapshot('snap', 1), error => error.conflict);
+    assert.equal(requests.length, before + 1);
+});
+
+test('server senza ETag: salvataggio senza condizioni', async () => {
+    const server = etagServer({ etags: false });
+    server.writeFromOtherDevice({ _oplog: 1, headSeq: 1, snapshot: null, ops: [{ ...op('B'), seq: 1 }] });
+    stubFetch(server.handle);
+    const backend = webdav();
+
+    const pulled = await backend.pullOps(0);
+    assert.equal(backend.opLog.version, undefined);
+    assert.deepEqual(await backend.pushOps([op('A')], pulled.headSeq), { headSeq: 2 });
+
+    const put = requests.at(-1);
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.headers['If-Match'], undefined);
+    assert.equal(put.headers['If-None-Match'], undefined);
+    assert.equal(server.data.headSeq, 2);
+});
+
+test('JSONbin: hash del contenuto cambiato tra pull e push, nessuna scrittura', async () => {
+    let bin = { _oplog: 1, headSeq: 0, snapshot: null, ops: [] };
+    stubFetch(request => {
+        if (request.method === 'GET') return { body: bin };
+        bin = request.body;
+        return { body: { record: bin } };
+    });
+    const backend = app('createSyncBackend')({ backend: 'jsonbin', binId: ' abc123 ', apiKey: ' chiave ' });
+
+    const pulled = await backend.pullOps(-1);
+    assert.equal(requests[0].url, 'https://api.jsonbin.io/v3/b/abc123/latest');
+    assert.equal(requests[0].headers['X-Master-Key'], 'chiave');
+    assert.equal(backend.opLog.version, backend.contentVersion(bin));
+
+    // Un altro dispositivo scrive: il controllo prima del PUT trova un hash diverso
+    bin = { ...bin, headSeq: 1, ops: [{ ...op('B'), seq: 1 }] };
+    await assert.rejects(backend.pushOps([op('A')], pulled.headSeq), error => error.conflict && error.status === 412);
+    assert.deepEqual(requests.map(request => request.method), ['GET', 'GET']);
+
+    // Dopo un nuovo pull il contenuto coincide e il PUT parte
+    const again = await backend.pullOps(0);
+    assert.deepEqual(await backend.pushOps([op('A')], again.headSeq), { headSeq: 2 });
+    assert.deepEqual(requests.slice(-2).map(request => [request.method, request.url]), [
+        ['GET', 'https://api.jsonbin.io/v3/b/abc123/latest'],
+        ['PUT', 'https://api.jsonbin.io/v3/b/abc123']
+    ]);
+    assert.deepEqual(bin.ops.map(entry => entry.deviceId), ['B', 'A']);
+});
+
+test('REST: ops?since, POST ops e PUT snapshot sugli endpoint dedicati', async () => {
+    stubFetch(request => {
+        if (request.method === 'GET') {
+            return { body: { headSeq: 5, snapshot: { seq: 3, schema: 2, data: 's' }, ops: [{ ...op('B'), seq: 4 }, { ...op('B'), seq: 5 }], opCount: 2 } };
+        }
+        if (request.url.endsWith('/ops')) return { body: { headSeq: request.body.baseSeq + request.body.ops.length } };
+        return { body: { headSeq: request.body.seq } };
+    });
+    const backend = app('createSyncBackend')({ backend: 'http', url: 'https://sync.example.com/api/futura/', token: 'tok' });
+
+    const pulled = await backend.pullOps(3);
+    assert.equal(requests[0].url, 'https://sync.example.com/api/futura/ops?since=3');
+    assert.equal(requests[0].headers.Authorization, 'Bearer tok');
+    assert.equal(pulled.headSeq, 5);
+    assert.equal(pulled.reset, false);
+    // schema non indicato dal server: il più recente tra snapshot e operazioni
+    assert.equal(pulled.schema, 2);
+
+    assert.deepEqual(await backend.pushOps([op('A')], 5), { headSeq: 6 });
+    assert.equal(requests[1].method, 'POST');
+    assert.equal(requests[1].url, 'https://sync.example.com/api/futura/ops');
+    assert.deepEqual(requests[1].body, { baseSeq: 5, ops: [op('A')] });
+
+    assert.deepEqual(await backend.saveSnapshot('nuovo', 6, 2), { headSeq: 6 });
+    assert.equal(requests[2].method, 'PUT');
+    assert.equal(requests[2].url, 'https://sync.example.com/api/futura/snapshot');
+    assert.deepEqual(requests[2].body, { seq: 6, schema: 2, data: 'nuovo' });
+
+    // Cursore oltre la testa del log: log ricreato sul server
+    assert.equal((await backend.pullOps(9)).reset, true);
+});
+
+test('REST: 409 su push o snapshot è un conflitto da ripetere dopo il pull', async () => {
+    stubFetch(() => ({ status: 409 }));
+    const backend = app('createSyncBackend')({ backend: 'http', url: 'https://sync.example.com/api/futura' });
+
+    await assert.rejects(backend.pushOps([op('A')], 1), error => error.conflict && error.status === 409);
+    await assert.rejects(backend.saveSnapshot('s', 1), error => error.conflict && error.status === 409);
+    assert.equal(requests[0].headers.Authorization, undefined);
+});
@@ -0,0 +1,219 @@
+// Test SyncManager sul log di operazioni: replay di operazioni fuori ordine o duplicate, cursore,
+// push della coda locale (syncQueue in IndexedDB) e compattazione in snapshot.
+// Il backend è in memoria; le operazioni "remote" sono scritte come le scriverebbe un altro dispositivo.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory } = require('fake-indexeddb');
+
+global.window = global;
+global.addEventListener = () => {};
+global.removeEventListener = () => {};
+global.navigator = { userAgent: 'node', onLine: true };
+const localData = {};
+global.localStorage = {
+    getItem: key => (key in localData ? localData[key] : null),
+    setItem: (key, value) => { localData[key] = String(value); },
+    removeItem: key => { delete localData[key]; }
+};
+
+['utils.js', 'crypto.js', 'db-migrations.js', 'db.js', 'record-clock.js', 'sync-backends.js', 'cloud-schema.js', 'sync-manager.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), { filename: file });
+});
+const app = name => vm.runInThisContext(name);
+
+// PBKDF2 con le iterazioni di produzione rallenterebbe ogni test senza verificare nulla in più
+app('CRYPTO_DEFAULTS').iterations = 1000;
+
+// Backend in memoria con salvataggio condizionale sulla versione, come JSONbin/ETag
+class MemoryBackend extends app('SyncBackend') {
+    constructor() {
+        super({ backend: 'memory', url: 'test' });
+        this.remote = null;
+        this.version = 0;
+    }
+
+    async load() {
+        return { data: this.remote ? structuredClone(this.remote) : null, version: String(this.version) };
+    }
+
+    async saveIfMatch(data, version) {
+        if (version !== String(this.version)) throw this.conflictError();
+        this.remote = structuredClone(data);
+        this.version++;
+        return { version: String(this.version) };
+    }
+}
+
+let backend;
+let syncManager;
+let applied;
+
+// Record timbrato da un altro dispositivo
+function remoteRecord(record, deviceId = 'B', base = null) {
+    const copy = { ...structuredClone(base || {}), ...record };
+    app('stampRecord')(copy, deviceId);
+    return copy;
+}
+
+// Operazione scritta da un altro dispositivo in coda al log remoto
+async function pushRemote(entries, deviceId = 'B') {
+    const { headSeq } = await backend.pullOps(-1);
+    const op = {
+        deviceId,
+        ts: new Date().toISOString(),
+        schema: app('CLOUD_SCHEMA_VERSION'),
+        data: await syncManager.cipher.seal(entries)
+    };
+    return backend.pushOps([op], headSeq);
+}
+
+// Come stampState nell'app: timbra il documento locale, accoda le modifiche e sincronizza
+async function syncLocal(doc) {
+    const changes = [];
+    const stamped = app('recordClock').stampDocument(doc, changes);
+    await app('dbManager').enqueueOperations(changes);
+    return syncManager.syncData(stamped);
+}
+
+function emptyDoc() {
+    return { currentBalance: 0, manualTransactions: [], _tombstones: {} };
+}
+
+beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    const dbManager = app('dbManager');
+    if (dbManager.db) dbManager.db.close();
+    Object.assign(dbManager, { db: null, isReady: false, initPromise: null, cipher: null });
+    await dbManager.init();
+
+    localData.futura_device_id = 'A';
+    const recordClock = app('recordClock');
+    recordClock.deviceId = null;
+    recordClock.known = {};
+
+    backend = new MemoryBackend();
+    syncManager = new (app('SyncManager'))(backend);
+    syncManager.cipher.setPassphrase('passphrase di prova');
+    applied = null;
+    syncManager.onRemoteChanges = async data => { applied = data; };
+});
+
+afterEach(() => {
+    // Nessun retry programmato deve restare in sospeso alla fine del test
+    syncManager.stopAutoSync();
+});
+
+test('syncQueue: operazioni in ordine di inserimento, rimozione solo di quelle confermate', async () => {
+    const dbManager = app('dbManager');
+    await dbManager.enqueueOperations([
+        { collection: 'manualTransactions', record: { id: 't1', amount: 1 } },
+        { collection: 'manualTransactions', record: { id: 't2', amount: 2 } }
+    ]);
+    await dbManager.enqueueOperations([{ collection: 'manualTransactions', record: { id: 't1', amount: 3 } }]);
+
+    const pending = await dbManager.getPendingSyncOperations();
+    assert.deepEqual(pending.map(op => op.record.amount), [1, 2, 3]);
+    // Nel batch resta solo l'ultima versione di ogni record
+    assert.deepEqual(syncManager.buildBatch(pending).map(op => [op.record.id, op.record.amount]), [['t1', 3], ['t2', 2]]);
+
+    await dbManager.removeSyncOperations(pending.slice(0, 2).map(op => op.id));
+    assert.deepEqual((await dbManager.getPendingSyncOperations()).map(op => op.record.amount), [3]);
+});
+
+test('push: la coda locale va nel log remoto e viene svuotata', async () => {
+    const doc = emptyDoc();
+    doc.manualTransactions.push({ id: 't1', desc: 'Caffè', amount: 2 });
+    const result = await syncLocal(doc);
+
+    assert.equal(result.success, true);
+    assert.equal(result.action, 'uploaded');
+    assert.deepEqual(await app('dbManager').getPendingSyncOperations(), []);
+    assert.equal(backend.remote.headSeq, 1);
+    // Sul cloud solo envelope cifrati
+    assert.ok(!JSON.stringify(backend.remote).includes('Caffè'));
+    assert.deepEqual(await app('dbManager').getSetting(app('SYNC_CURSOR_KEY')), { identity: backend.identity, seq: 1 });
+});
+
+test('operazioni fuori ordine: vince comunque la versione più recente', async () => {
+    const v1 = remoteRecord({ id: 't1', desc: 'Pane', amount: 1 });
+    const v2 = remoteRecord({ amount: 4 }, 'B', v1);
+    // La modifica arriva nel log prima della creazione
+    await pushRemote([{ collection: 'manualTransactions', record: v2 }]);
+    await pushRemote([{ collection: 'manualTransactions', record: v1 }]);
+
+    const result = await syncManager.syncData(emptyDoc());
+    assert.equal(result.success, true);
+    assert.equal(result.action, 'downloaded');
+    assert.deepEqual(applied.manualTransactions.map(t => [t.id, t.amount, t.desc]), [['t1', 4, 'Pane']]);
+    assert.deepEqual(applied.manualTransactions[0]._sync.clock, { B: 2 });
+});
+
+test('operazioni duplicate: applicate una volta sola, senza conflitti', async () => {
+    const created = remoteRecord({ id: 't1', amount: 5 });
+    const deleted = app('createTombstone')('t2', remoteRecord({ id: 't2', amount: 9 })._sync, 'B');
+    const entries = [
+        { collection: 'manualTransactions', record: created },
+        { collection: 'manualTransactions', record: deleted }
+    ];
+    // Stesso batch inviato due volte (risposta persa e retry)
+    await pushRemote(entries);
+    await pushRemote(entries);
+
+    const result = await syncManager.syncData(emptyDoc());
+    assert.equal(result.success, true);
+    assert.deepEqual(applied.manualTransactions.map(t => t.id), ['t1']);
+    assert.deepEqual(applied._tombstones.manualTransactions.map(t => t.id), ['t2']);
+    assert.deepEqual(await app('dbManager').getConflicts(), []);
+
+    // Riapplicare il log da capo non cambia il documento
+    const again = await syncManager.replay(applied, await backend.pullOps(-1));
+    assert.equal(app('recordClock').documentHash(again), app('recordClock').documentHash(applied));
+});
+
+test('cursore: si scaricano solo le operazioni successive', async () => {
+    await pushRemote([{ collection: 'manualTransactions', record: remoteRecord({ id: 't1', amount: 1 }) }]);
+    await syncManager.syncData(emptyDoc());
+    assert.equal(await syncManager.getCursor(), 1);
+
+    await pushRemote([{ collection: 'manualTransactions', record: remoteRecord({ id: 't2', amount: 2 }) }]);
+    const pulled = await backend.pullOps(await syncManager.getCursor());
+    assert.deepEqual(pulled.ops.map(op => op.seq), [2]);
+
+    const result = await syncManager.syncData(applied);
+    assert.equal(result.success, true);
+    assert.equal(await syncManager.getCursor(), 2);
+    assert.deepEqual(applied.manualTransactions.map(t => t.id).sort(), ['t1', 't2']);
+
+    // Un cursore salvato per un altro backend non vale
+    await app('dbManager').setSetting(app('SYNC_CURSOR_KEY'), { identity: 'jsonbin:altro', seq: 2 });
+    assert.equal(await syncManager.getCursor(), -1);
+});
+
+test('compattazione: oltre compactEvery operazioni il log diventa uno snapshot', async () => {
+    syncManager.compactEvery = 2;
+    let doc = emptyDoc();
+    await syncLocal(doc);
+    for (let i = 1; i <= 3; i++) {
+        doc.manualTransactions.push({ id: `t${i}`, amount: i });
+        const result = await syncLocal(doc);
+        assert.equal(result.success, true);
+        doc = result.data;
+    }
+
+    // Primo sync: snapshot a seq 1; poi 3 operazioni, alla terza il log supera compactEvery
+    const { remote } = backend;
+    assert.equal(remote.headSeq, 4);
+    assert.equal(remote.snapshot.seq, 4);
+    assert.deepEqual(remote.ops, []);
+    assert.deepEqual(await app('dbManager').getPendingSyncOperations(), []);
+
+    // Un nuovo dispositivo ricostruisce lo stesso stato da snapshot e operazioni rimaste
+    const other = new (app('SyncManager'))(backend);
+    other.cipher.setPassphrase('passphrase di prova');
+    const loaded = await other.loadFromCloud();
+    assert.deepEqual(loaded.manualTransactions.map(t => [t.id, t.amount]).sort(), [['t1', 1], ['t2', 2], ['t3', 3]]);
+});